@@ -0,0 +1,200 @@
+/**
+ * GFV LLC - Form Drafts
+ * Saves what a visitor types to localStorage and offers it back with "Restore your draft?"
+ *
+ * Only the named form fields are stored - never hidden, password or file inputs, and
+ * nothing from outside the form. Drafts expire after a week and should be cleared
+ * by the page once the form has been sent.
+ *
+ * Usage: const drafts = FormDrafts.attach(form, { name: 'contact', fields: ['name', 'email'] });
+ *        ...after a successful send: drafts.clear();
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FormDrafts = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    const KEY_PREFIX = 'gfv-draft:';
+    const DEFAULT_EXPIRY = 7 * 24 * 60 * 60 * 1000;
+    const SAVE_DELAY = 400;
+    const NEVER_SAVED = ['hidden', 'password', 'file', 'submit', 'button'];
+    
+    // localStorage can be missing or throw (private windows, storage turned off, quota)
+    function storage() {
+        try {
+            return window.localStorage;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function read(key, expiry) {
+        const store = storage();
+        if (!store) return null;
+        try {
+            const draft = JSON.parse(store.getItem(key));
+            if (!draft || typeof draft.values !== 'object' || typeof draft.savedAt !== 'number') return null;
+            if (Date.now() - draft.savedAt > expiry) {
+                store.removeItem(key);
+                return null;
+            }
+            return draft;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function savedAgo(savedAt) {
+        const minutes = Math.round((Date.now() - savedAt) / 60000);
+        if (minutes < 1) return 'Saved just now.';
+        if (minutes < 60) return `Saved ${minutes} minute${minutes === 1 ? '' : 's'} ago.`;
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `Saved ${hours} hour${hours === 1 ? '' : 's'} ago.`;
+        return `Saved ${Math.round(hours / 24)} days ago.`;
+    }
+    
+    /**
+     * Autosave a form. Options: name (part of the storage key), fields (names
+     * to save; defaults to every named control that may be saved) and expiry in ms.
+     * Returns { clear(), pending() }.
+     */
+    function attach(form, options = {}) {
+        const { name = form.id || 'form', expiry = DEFAULT_EXPIRY } = options;
+        const key = `${KEY_PREFIX}${name}`;
+        const controls = Array.from(form.elements).filter(el => el.name &&
+            !NEVER_SAVED.includes(el.type) &&
+            (!options.fields || options.fields.includes(el.name)));
+        let saveTimer = null;
+        let prompt = null;
+        
+        function values() {
+            const result = {};
+            controls.forEach(el => {
+                if (el.value.trim() !== '') result[el.name] = el.value;
+            });
+            return result;
+        }
+        
+        function save() {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+            const store = storage();
+            if (!store) return;
+            
+            const current = values();
+            try {
+                if (Object.keys(current).length === 0) {
+                    store.removeItem(key);
+                } else {
+                    store.setItem(key, JSON.stringify({ savedAt: Date.now(), values: current }));
+                }
+            } catch (e) {
+                // Full or refused: the form still works, the draft just is not kept
+            }
+        }
+        
+        function scheduleSave() {
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(save, SAVE_DELAY);
+        }
+        
+        function closePrompt() {
+            if (!prompt) return;
+            prompt.remove();
+            prompt = null;
+            const firstShown = controls.find(el => el.getClientRects().length > 0);
+            if (firstShown) firstShown.focus();
+        }
+        
+        // Fields are filled as if typed, so counters and validation follow along
+        function restore(draft) {
+            controls.forEach(el => {
+                if (!(el.name in draft.values)) return;
+                el.value = draft.values[el.name];
+                el.dispatchEvent(new Event('input', { bubbles: true }));
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+            save();
+        }
+        
+        function offer(draft) {
+            prompt = document.createElement('div');
+            prompt.className = 'draft-prompt';
+            
+            const text = document.createElement('p');
+            text.setAttribute('role', 'status');
+            text.textContent = `Restore your draft? ${savedAgo(draft.savedAt)}`;
+            
+            const restoreBtn = document.createElement('button');
+            restoreBtn.type = 'button';
+            restoreBtn.className = 'draft-restore';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => {
+                restore(draft);
+                closePrompt();
+            });
+            
+            const discardBtn = document.createElement('button');
+            discardBtn.type = 'button';
+            discardBtn.className = 'draft-discard';
+            discardBtn.textContent = 'Discard';
+            discardBtn.addEventListener('click', () => {
+                // Whatever has been typed since the page loaded is kept
+                save();
+                closePrompt();
+            });
+            
+            prompt.append(text, restoreBtn, discardBtn);
+            form.prepend(prompt);
+        }
+        
+        // The old draft stays in memory while the prompt is open, so typing first does not lose it
+        const draft = read(key, expiry);
+        if (draft && Object.keys(draft.values).length > 0) offer(draft);
+        
+        controls.forEach(el => {
+            el.addEventListener('input', scheduleSave);
+            el.addEventListener('change', scheduleSave);
+        });
+        
+        // Mobile browsers may discard a backgrounded tab without warning, so save on the way out
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && saveTimer) save();
+        });
+        window.addEventListener('pagehide', () => {
+            if (saveTimer) save();
+        });
+        
+        return {
+            clear() {
+                clearTimeout(saveTimer);
+                saveTimer = null;
+                if (prompt) {
+                    prompt.remove();
+                    prompt = null;
+                }
+                const store = storage();
+                try {
+                    if (store) store.removeItem(key);
+                } catch (e) {
+                    // Storage refused, so nothing was kept
+                }
+            },
+            
+            pending() {
+                return !!prompt;
+            }
+        };
+    }
+    
+    return {
+        KEY_PREFIX,
+        DEFAULT_EXPIRY,
+        attach
+    };
+});
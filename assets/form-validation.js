@@ -0,0 +1,261 @@
+/**
+ * GFV LLC - Form Validation
+ * Declarative field rules with inline error text, an error summary and live announcements
+ *
+ * Rules use the same shape as config.formValidation in the test suite:
+ *   { requiredFields, emailPattern, minDescriptionLength, maxDescriptionLength,
+ *     emailField = 'email', descriptionField = 'description' }
+ *
+ * Usage: const validator = FormValidation.attach(form, rules);
+ *        form.addEventListener('submit', e => { if (!validator.validate()) e.preventDefault(); });
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FormValidation = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    
+    // Visually hidden but still read by screen readers
+    const SCREEN_READER_ONLY = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+        'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+    
+    /**
+     * Check plain values against rules. Returns [{ name, rule, message }] in
+     * field order, at most one error per field. `labels` maps field names to
+     * the text used in messages.
+     */
+    function check(values, rules, labels = {}) {
+        const {
+            requiredFields = [],
+            emailPattern = EMAIL_PATTERN,
+            minDescriptionLength = 0,
+            maxDescriptionLength = Infinity,
+            emailField = 'email',
+            descriptionField = 'description'
+        } = rules;
+        const names = [...new Set([...Object.keys(values), ...requiredFields])];
+        const errors = [];
+        
+        names.forEach(name => {
+            const value = String(values[name] ?? '').trim();
+            const label = labels[name] || name;
+            
+            if (value === '') {
+                if (requiredFields.includes(name)) {
+                    errors.push({ name, rule: 'required', message: `${label} is required` });
+                }
+                return;
+            }
+            if (name === emailField && !emailPattern.test(value)) {
+                errors.push({ name, rule: 'email', message: `${label} must be a valid email address, like you@company.com` });
+            } else if (name === descriptionField && value.length < minDescriptionLength) {
+                errors.push({ name, rule: 'minLength', message: `${label} needs at least ${minDescriptionLength} characters (${value.length} so far)` });
+            } else if (name === descriptionField && value.length > maxDescriptionLength) {
+                errors.push({ name, rule: 'maxLength', message: `${label} must be ${maxDescriptionLength} characters or fewer (${value.length} now)` });
+            }
+        });
+        
+        return errors;
+    }
+    
+    function labelOf(field) {
+        const label = field.labels && field.labels[0];
+        return label ? label.textContent.replace(/\s+/g, ' ').trim() : field.name;
+    }
+    
+    /**
+     * Take over validation of a form: per-field error text linked with
+     * aria-describedby, aria-invalid, an error summary at the top of the form
+     * and a polite live region. Native validation stays in place when this
+     * script does not run.
+     */
+    function attach(form, rules) {
+        const fields = {};
+        const labels = {};
+        Array.from(form.elements).forEach(el => {
+            if (!el.name || el.type === 'hidden' || el.type === 'submit' || el.tagName === 'BUTTON') return;
+            fields[el.name] = el;
+            labels[el.name] = labelOf(el);
+        });
+        
+        form.noValidate = true;
+        
+        const summary = document.createElement('div');
+        summary.className = 'error-summary';
+        summary.hidden = true;
+        form.prepend(summary);
+        
+        const liveRegion = document.createElement('div');
+        liveRegion.setAttribute('aria-live', 'polite');
+        liveRegion.className = 'validation-announcer';
+        liveRegion.style.cssText = SCREEN_READER_ONLY;
+        form.appendChild(liveRegion);
+        
+        // Pages may already provide <p class="field-error" id="<field id>-error">; otherwise one is added after the field
+        function errorElementFor(field) {
+            const id = `${field.id || field.name}-error`;
+            let errorEl = document.getElementById(id);
+            if (!errorEl) {
+                errorEl = document.createElement('p');
+                errorEl.className = 'field-error';
+                errorEl.id = id;
+                errorEl.hidden = true;
+                field.insertAdjacentElement('afterend', errorEl);
+            }
+            return errorEl;
+        }
+        
+        // Returns false when the form has no such field
+        function setFieldError(name, message) {
+            const field = fields[name];
+            if (!field) return false;
+            
+            const errorEl = errorElementFor(field);
+            const describedBy = (field.getAttribute('aria-describedby') || '')
+                .split(/\s+/)
+                .filter(id => id && id !== errorEl.id);
+            
+            if (message) {
+                errorEl.textContent = message;
+                errorEl.hidden = false;
+                field.setAttribute('aria-invalid', 'true');
+                describedBy.push(errorEl.id);
+            } else {
+                errorEl.textContent = '';
+                errorEl.hidden = true;
+                field.removeAttribute('aria-invalid');
+            }
+            
+            if (describedBy.length > 0) {
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+            return true;
+        }
+        
+        function currentErrors() {
+            return Object.keys(fields)
+                .filter(name => fields[name].getAttribute('aria-invalid') === 'true')
+                .map(name => ({ name, message: errorElementFor(fields[name]).textContent }));
+        }
+        
+        function summaryTitle(count) {
+            return count === 1 ? 'Please fix 1 problem' : `Please fix ${count} problems`;
+        }
+        
+        function renderSummary(errors) {
+            summary.textContent = '';
+            summary.hidden = errors.length === 0;
+            if (errors.length === 0) return;
+            
+            const title = document.createElement('p');
+            title.className = 'error-summary-title';
+            title.textContent = `${summaryTitle(errors.length)}:`;
+            
+            const list = document.createElement('ul');
+            errors.forEach(error => {
+                const field = fields[error.name];
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                link.href = `#${field.id}`;
+                link.textContent = error.message;
+                link.addEventListener('click', e => {
+                    e.preventDefault();
+                    field.focus();
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            
+            summary.append(title, list);
+        }
+        
+        // Cleared first so a repeated submit with the same errors is announced again
+        function announce(errors) {
+            liveRegion.textContent = '';
+            if (errors.length === 0) return;
+            setTimeout(() => {
+                liveRegion.textContent = `${summaryTitle(errors.length)}. ${errors.map(e => e.message).join('. ')}.`;
+            }, 100);
+        }
+        
+        /**
+         * Show errors (from check() or the form endpoint) as a fresh set: field
+         * text, summary, announcement and focus on the first invalid field.
+         * Returns the errors that match no field, for the caller to show.
+         */
+        function showErrors(errors) {
+            Object.keys(fields).forEach(name => setFieldError(name, null));
+            const shown = errors.filter(error => setFieldError(error.name, error.message));
+            
+            renderSummary(shown);
+            announce(shown);
+            if (shown.length > 0) fields[shown[0].name].focus();
+            
+            return errors.filter(error => !fields[error.name]);
+        }
+        
+        function checkField(name) {
+            const error = check({ [name]: fields[name].value }, rules, labels).find(e => e.name === name);
+            setFieldError(name, error ? error.message : null);
+            // A visible summary follows the fields as they are fixed
+            if (!summary.hidden) renderSummary(currentErrors());
+        }
+        
+        Object.keys(fields).forEach(name => {
+            const field = fields[name];
+            
+            // Check on leaving a field the visitor typed in, not while tabbing past empty ones
+            field.addEventListener('blur', () => {
+                if (field.value.trim() !== '' || field.getAttribute('aria-invalid') === 'true') checkField(name);
+            });
+            
+            // Once a field is flagged, clear the error as soon as the value is fixed
+            ['input', 'change'].forEach(type => field.addEventListener(type, () => {
+                if (field.getAttribute('aria-invalid') === 'true') checkField(name);
+            }));
+        });
+        
+        return {
+            fields,
+            labels,
+            
+            // Errors for the named fields (all fields by default) without showing anything
+            errors(names = Object.keys(fields)) {
+                const values = {};
+                names.filter(name => fields[name]).forEach(name => {
+                    values[name] = fields[name].value;
+                });
+                return check(values, { ...rules, requiredFields: (rules.requiredFields || []).filter(name => name in values) }, labels);
+            },
+            
+            // Check the named fields (all by default); false (with errors shown) when the form should not be sent
+            validate(names) {
+                const errors = this.errors(names);
+                showErrors(errors);
+                return errors.length === 0;
+            },
+            
+            showErrors,
+            
+            clear() {
+                Object.keys(fields).forEach(name => setFieldError(name, null));
+                renderSummary([]);
+                liveRegion.textContent = '';
+            }
+        };
+    }
+    
+    return {
+        EMAIL_PATTERN,
+        check,
+        attach
+    };
+});
@@ -0,0 +1,160 @@
+/**
+ * GFV LLC - Inquiry Schema
+ * One definition of the project inquiry (PROJECT_INQUIRY_FLOW.md) shared by every form that sends it
+ *
+ * The fields of the homepage contact form and assets/contact-form.html are
+ * generated from this schema (markup(), written into the pages by
+ * tests/inquiry-fields.js), so a submission carries the same field names and
+ * option values whichever page it came from. `rules` feeds FormValidation.attach().
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.InquirySchema = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    const fields = [
+        { name: 'name', label: 'Name', type: 'text', required: true, placeholder: 'Your name' },
+        { name: 'email', label: 'Email', type: 'email', required: true, placeholder: 'you@company.com' },
+        { name: 'company', label: 'Company/Organization', type: 'text', required: false, placeholder: 'Optional' },
+        {
+            name: 'project_type',
+            label: 'Project Type',
+            type: 'select',
+            required: true,
+            placeholder: 'Select project type',
+            options: [
+                { value: 'business-intelligence', label: 'Business Intelligence Dashboard' },
+                { value: 'strategic-portal', label: 'Strategic Research Portal' },
+                { value: 'website', label: 'Company Website/Landing Page' },
+                { value: 'web-app', label: 'Web Application' },
+                { value: 'ai-integration', label: 'AI/Data Integration' },
+                { value: 'other', label: 'Other' }
+            ]
+        },
+        {
+            name: 'budget',
+            label: 'Budget Range',
+            type: 'select',
+            required: true,
+            placeholder: 'Select budget range',
+            options: [
+                { value: 'under-5k', label: 'Under $5,000' },
+                { value: '5k-15k', label: '$5,000 - $15,000' },
+                { value: '15k-50k', label: '$15,000 - $50,000' },
+                { value: '50k-plus', label: '$50,000+' },
+                { value: 'discuss', label: 'Let\'s discuss' }
+            ]
+        },
+        {
+            name: 'timeline',
+            label: 'Timeline',
+            type: 'select',
+            required: true,
+            placeholder: 'Select timeline',
+            options: [
+                { value: 'asap', label: 'ASAP (within 2 weeks)' },
+                { value: '1-3-months', label: '1-3 months' },
+                { value: '3-6-months', label: '3-6 months' },
+                { value: 'flexible', label: 'Flexible' }
+            ]
+        },
+        {
+            name: 'description',
+            label: 'Brief Project Description',
+            type: 'textarea',
+            required: true,
+            maxLength: 500,
+            placeholder: 'Describe your project goals, current challenges, and what success looks like...'
+        },
+        { name: 'referral', label: 'How did you find me?', type: 'text', required: false, placeholder: 'e.g., LinkedIn, referral, Google' }
+    ];
+    
+    // FormValidation.attach() rules, in the shape of config.formValidation in the tests
+    const rules = {
+        requiredFields: fields.filter(field => field.required).map(field => field.name),
+        emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        minDescriptionLength: 10,
+        maxDescriptionLength: fields.find(field => field.name === 'description').maxLength,
+        emailField: 'email',
+        descriptionField: 'description'
+    };
+    
+    function field(name) {
+        return fields.find(f => f.name === name) || null;
+    }
+    
+    // Fields that share a .form-row; a row of one takes the full width
+    const layout = [['name', 'email'], ['company'], ['project_type', 'budget'], ['timeline'], ['description'], ['referral']];
+    
+    const escapeHtml = text => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+    
+    // Element ids use hyphens: project_type is #project-type
+    const idFor = name => name.replace(/_/g, '-');
+    
+    function controlLines(definition) {
+        const id = idFor(definition.name);
+        const attrs = `id="${id}" name="${definition.name}"${definition.required ? ' required' : ''}`;
+        const placeholder = escapeHtml(definition.placeholder);
+        
+        if (definition.type === 'select') {
+            return [
+                `<select ${attrs}>`,
+                `    <option value="">${placeholder}</option>`,
+                ...definition.options.map(option => `    <option value="${escapeHtml(option.value)}">${escapeHtml(option.label)}</option>`),
+                '</select>'
+            ];
+        }
+        const maxLength = definition.maxLength ? ` maxlength="${definition.maxLength}"` : '';
+        if (definition.type === 'textarea') {
+            return [`<textarea ${attrs}${maxLength} placeholder="${placeholder}"></textarea>`];
+        }
+        return [`<input type="${definition.type}" ${attrs}${maxLength} placeholder="${placeholder}">`];
+    }
+    
+    function groupLines(definition, style) {
+        const id = idFor(definition.name);
+        const labelClass = style.requiredLabels && definition.required ? ' class="required"' : '';
+        const lines = [`<label for="${id}"${labelClass}>${escapeHtml(definition.label)}</label>`, ...controlLines(definition)];
+        
+        if (style.charCount && definition.maxLength) {
+            lines.push(`<div class="char-count"><span id="char-count">0</span>/${definition.maxLength}</div>`);
+        }
+        if (style.fieldErrors) {
+            lines.push(`<p class="field-error" id="${id}-error" hidden></p>`);
+        }
+        return ['<div class="form-group">', ...lines.map(line => `    ${line}`), '</div>'];
+    }
+    
+    /**
+     * The form's fields as HTML, one line per array entry and indented from
+     * column 0. Style options: fieldErrors (an empty error line per field),
+     * requiredLabels (class="required" on required labels), charCount (a
+     * counter under fields with a maxLength) and blankLines between rows.
+     * The pages hold this output between marker comments; see tests/inquiry-fields.js.
+     */
+    function markup(style = {}) {
+        const blocks = layout.map(row => {
+            const groups = row.map(name => groupLines(field(name), style));
+            if (groups.length === 1) return groups[0];
+            return ['<div class="form-row">', ...[].concat(...groups).map(line => `    ${line}`), '</div>'];
+        });
+        return [].concat(...blocks.map((block, index) => (style.blankLines && index > 0 ? ['', ...block] : block)));
+    }
+    
+    return {
+        fields,
+        layout,
+        rules,
+        field,
+        markup
+    };
+});
@@ -0,0 +1,321 @@
+/**
+ * GFV LLC - Inquiry Wizard
+ * Turns the plain inquiry form into steps with progress, back/next, per-step validation and a review
+ *
+ * The form markup is untouched without JavaScript. With it, fields are grouped into
+ * steps, the current step is kept in the URL hash (#<hashPrefix><step id>) so it can
+ * be linked to, and the form is only sent from the review step. Attach it before any
+ * other submit handler so it can hold back submits from earlier steps.
+ *
+ * Usage: const wizard = InquiryWizard.attach(form, { validator, hashPrefix: 'contact/' });
+ */
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.InquiryWizard = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+    
+    // Field names match assets/inquiry-schema.js; the last step has no fields and shows the review
+    const STEPS = [
+        { id: 'contact', title: 'Contact info', fields: ['name', 'email', 'company'] },
+        { id: 'project', title: 'Project', fields: ['project_type'] },
+        { id: 'budget', title: 'Budget and timeline', fields: ['budget', 'timeline'] },
+        { id: 'description', title: 'Description', fields: ['description', 'referral'] },
+        { id: 'review', title: 'Review', fields: [] }
+    ];
+    
+    function button(className, text) {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.className = className;
+        el.textContent = text;
+        return el;
+    }
+    
+    function labelOf(field) {
+        const label = field.labels && field.labels[0];
+        return label ? label.textContent.replace(/\s+/g, ' ').trim() : field.name;
+    }
+    
+    // What the visitor chose, as they saw it: option text for selects
+    function displayValue(field) {
+        if (field.tagName === 'SELECT') {
+            return field.value === '' ? '' : field.options[field.selectedIndex].textContent.trim();
+        }
+        return field.value.trim();
+    }
+    
+    /**
+     * Attach the wizard to a form. Options: steps (defaults to STEPS), validator
+     * (a FormValidation.attach() result; native validity is used without one)
+     * and hashPrefix for the deep link. Returns { goTo, showField, current,
+     * setStepByStep }.
+     */
+    function attach(form, options = {}) {
+        const { steps = STEPS, validator = null, hashPrefix = 'inquiry/' } = options;
+        const submitBtn = form.querySelector('[type="submit"]');
+        let currentIndex = 0;
+        let stepByStep = true;
+        
+        const fieldFor = name => form.elements[name] || null;
+        const groupFor = name => {
+            const field = fieldFor(name);
+            return field ? field.closest('.form-group') || field : null;
+        };
+        
+        // Progress, step title and mode switch go first; back/next and the review sit above submit
+        const header = document.createElement('div');
+        header.className = 'wizard-header';
+        
+        const progress = document.createElement('ol');
+        progress.className = 'wizard-progress';
+        progress.setAttribute('aria-label', 'Inquiry steps');
+        const progressButtons = steps.map((step, index) => {
+            const item = document.createElement('li');
+            const stepBtn = button('wizard-progress-step', step.title);
+            stepBtn.dataset.step = step.id;
+            stepBtn.addEventListener('click', () => moveTo(index));
+            item.appendChild(stepBtn);
+            progress.appendChild(item);
+            return stepBtn;
+        });
+        
+        const title = document.createElement('h3');
+        title.className = 'wizard-step-title';
+        title.tabIndex = -1;
+        
+        const modeToggle = button('wizard-mode-toggle', 'Show all fields at once');
+        modeToggle.addEventListener('click', () => setStepByStep(!stepByStep));
+        
+        header.append(progress, title);
+        form.prepend(modeToggle, header);
+        
+        const review = document.createElement('div');
+        review.className = 'wizard-review';
+        
+        const nav = document.createElement('div');
+        nav.className = 'wizard-nav';
+        const backBtn = button('wizard-back', 'Back');
+        const nextBtn = button('wizard-next', 'Next');
+        backBtn.addEventListener('click', () => moveTo(currentIndex - 1));
+        nextBtn.addEventListener('click', () => moveTo(currentIndex + 1));
+        nav.append(backBtn, nextBtn);
+        
+        submitBtn.before(review, nav);
+        
+        function renderReview() {
+            const list = document.createElement('dl');
+            steps.forEach((step, index) => {
+                step.fields.map(fieldFor).filter(Boolean).forEach(field => {
+                    const term = document.createElement('dt');
+                    term.textContent = labelOf(field);
+                    
+                    const value = displayValue(field);
+                    const detail = document.createElement('dd');
+                    const text = document.createElement('span');
+                    text.className = value ? 'wizard-review-value' : 'wizard-review-value is-empty';
+                    text.textContent = value || 'Not given';
+                    
+                    const edit = button('wizard-edit', 'Edit');
+                    edit.setAttribute('aria-label', `Edit ${labelOf(field)}`);
+                    edit.addEventListener('click', () => {
+                        show(index);
+                        field.focus();
+                    });
+                    
+                    detail.append(text, edit);
+                    list.append(term, detail);
+                });
+            });
+            review.replaceChildren(list);
+        }
+        
+        // Errors for a step's fields, without showing them
+        function stepErrors(index) {
+            const names = steps[index].fields.filter(fieldFor);
+            if (validator) return validator.errors(names);
+            return names.filter(name => !fieldFor(name).checkValidity()).map(name => ({ name }));
+        }
+        
+        function showStepErrors(index) {
+            const names = steps[index].fields.filter(fieldFor);
+            if (validator) {
+                validator.validate(names);
+                return;
+            }
+            const invalid = names.map(fieldFor).find(field => !field.checkValidity());
+            if (invalid) invalid.reportValidity();
+        }
+        
+        function updateHash(step) {
+            try {
+                history.replaceState(history.state, '', `#${hashPrefix}${step.id}`);
+            } catch (e) {
+                // Some file:// and sandboxed contexts refuse; the wizard works without the link
+            }
+        }
+        
+        function show(index, { focusTitle = false, link = true } = {}) {
+            currentIndex = Math.max(0, Math.min(steps.length - 1, index));
+            const step = steps[currentIndex];
+            const onReview = step.fields.length === 0;
+            
+            steps.forEach((other, otherIndex) => {
+                other.fields.map(groupFor).filter(Boolean).forEach(group => {
+                    group.hidden = otherIndex !== currentIndex;
+                });
+            });
+            progressButtons.forEach((stepBtn, btnIndex) => {
+                if (btnIndex === currentIndex) {
+                    stepBtn.setAttribute('aria-current', 'step');
+                } else {
+                    stepBtn.removeAttribute('aria-current');
+                }
+                stepBtn.classList.toggle('is-complete', btnIndex < currentIndex);
+            });
+            
+            title.textContent = `Step ${currentIndex + 1} of ${steps.length}: ${step.title}`;
+            backBtn.hidden = currentIndex === 0;
+            nextBtn.hidden = onReview;
+            submitBtn.hidden = !onReview;
+            review.hidden = !onReview;
+            if (onReview) renderReview();
+            
+            if (link) updateHash(step);
+            if (focusTitle) title.focus();
+        }
+        
+        // Moving forward checks every step on the way and stops at the first with errors
+        function moveTo(index) {
+            if (validator) validator.clear();
+            for (let i = currentIndex; i < index; i++) {
+                if (stepErrors(i).length > 0) {
+                    show(i, { focusTitle: i !== currentIndex });
+                    showStepErrors(i);
+                    return false;
+                }
+            }
+            show(index, { focusTitle: true });
+            return true;
+        }
+        
+        function setStepByStep(enabled) {
+            stepByStep = enabled;
+            form.classList.toggle('is-wizard', enabled);
+            header.hidden = !enabled;
+            nav.hidden = !enabled;
+            modeToggle.textContent = enabled ? 'Show all fields at once' : 'Go step by step';
+            
+            if (enabled) {
+                show(currentIndex, { focusTitle: true });
+                return;
+            }
+            steps.forEach(step => step.fields.map(groupFor).filter(Boolean).forEach(group => {
+                group.hidden = false;
+            }));
+            review.hidden = true;
+            submitBtn.hidden = false;
+        }
+        
+        // Open the step named in the hash, if any
+        function fromHash() {
+            if (!location.hash.startsWith(`#${hashPrefix}`)) return false;
+            const index = steps.findIndex(step => `#${hashPrefix}${step.id}` === location.hash);
+            if (index === -1) return false;
+            if (!stepByStep) setStepByStep(true);
+            show(index, { focusTitle: true });
+            return true;
+        }
+        
+        // Enter in a text field moves on a step instead of sending the form
+        form.addEventListener('keydown', e => {
+            if (!stepByStep || e.key !== 'Enter' || e.isComposing || e.target.tagName !== 'INPUT') return;
+            if (steps[currentIndex].fields.length === 0) return;
+            e.preventDefault();
+            moveTo(currentIndex + 1);
+        });
+        
+        // noValidate (below) turns the browser's checks off, so they run here as a last gate: a
+        // control no step lists, or a constraint the step rules miss, still stops the send
+        function holdBackNativelyInvalid(e) {
+            const invalid = Array.from(form.elements).find(el => el.willValidate && !el.checkValidity());
+            if (!invalid) return false;
+            
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            const index = steps.findIndex(step => step.fields.includes(invalid.name));
+            if (index === -1) {
+                setStepByStep(false);
+            } else if (stepByStep) {
+                show(index, { focusTitle: true });
+            }
+            invalid.reportValidity();
+            return true;
+        }
+        
+        // Only the review step sends; earlier steps and incomplete forms are held back here
+        form.addEventListener('submit', e => {
+            if (!stepByStep) {
+                // All fields at once: the validator's own messages come first, the browser's checks after
+                if (!validator || validator.errors().length === 0) holdBackNativelyInvalid(e);
+                return;
+            }
+            const firstInvalid = steps.findIndex((step, index) => stepErrors(index).length > 0);
+            const onReview = steps[currentIndex].fields.length === 0;
+            if (onReview && firstInvalid === -1) {
+                holdBackNativelyInvalid(e);
+                return;
+            }
+            
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (onReview) {
+                show(firstInvalid, { focusTitle: true });
+                showStepErrors(firstInvalid);
+            } else {
+                moveTo(currentIndex + 1);
+            }
+        });
+        
+        window.addEventListener('hashchange', fromHash);
+        
+        // Fields on hidden steps cannot show the browser's own bubbles, so validity is checked per step above
+        form.noValidate = true;
+        
+        form.classList.add('is-wizard');
+        // A plain visit starts on the first step without touching the URL
+        if (!fromHash()) show(0, { link: false });
+        
+        return {
+            goTo(id) {
+                const index = steps.findIndex(step => step.id === id);
+                if (index !== -1) show(index, { focusTitle: true });
+            },
+            
+            // Bring a field into view on its step, e.g. for an error reported by the endpoint
+            showField(name) {
+                const index = steps.findIndex(step => step.fields.includes(name));
+                const field = fieldFor(name);
+                if (index === -1 || !field) return false;
+                if (stepByStep) show(index);
+                field.focus();
+                return true;
+            },
+            
+            current() {
+                return stepByStep ? steps[currentIndex].id : null;
+            },
+            
+            setStepByStep
+        };
+    }
+    
+    return {
+        STEPS,
+        attach
+    };
+});
@@ -0,0 +1,430 @@
+/**
+ * GFV LLC - Accessibility Rules
+ * Registry of named ARIA/HTML conformance rules evaluated in the page, with per-node results
+ */
+
+// ARIA 1.2 concrete roles (abstract roles are not allowed in markup)
+const ARIA_ROLES = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption', 'cell',
+    'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo', 'definition', 'deletion',
+    'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure', 'form', 'generic', 'grid', 'gridcell',
+    'group', 'heading', 'img', 'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee',
+    'math', 'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none',
+    'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+    'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status',
+    'strong', 'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+    'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+];
+
+// ARIA 1.2 states and properties with the values each accepts
+const ARIA_ATTRIBUTES = {
+    'aria-activedescendant': 'idref',
+    'aria-atomic': 'boolean',
+    'aria-autocomplete': ['inline', 'list', 'both', 'none'],
+    'aria-braillelabel': 'string',
+    'aria-brailleroledescription': 'string',
+    'aria-busy': 'boolean',
+    'aria-checked': ['true', 'false', 'mixed', 'undefined'],
+    'aria-colcount': 'integer',
+    'aria-colindex': 'integer',
+    'aria-colindextext': 'string',
+    'aria-colspan': 'integer',
+    'aria-controls': 'idrefs',
+    'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+    'aria-describedby': 'idrefs',
+    'aria-description': 'string',
+    'aria-details': 'idref',
+    'aria-disabled': 'boolean',
+    'aria-dropeffect': 'tokens',
+    'aria-errormessage': 'idref',
+    'aria-expanded': ['true', 'false', 'undefined'],
+    'aria-flowto': 'idrefs',
+    'aria-grabbed': ['true', 'false', 'undefined'],
+    'aria-haspopup': ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+    'aria-hidden': ['true', 'false', 'undefined'],
+    'aria-invalid': ['grammar', 'false', 'spelling', 'true'],
+    'aria-keyshortcuts': 'string',
+    'aria-label': 'string',
+    'aria-labelledby': 'idrefs',
+    'aria-level': 'integer',
+    'aria-live': ['assertive', 'off', 'polite'],
+    'aria-modal': 'boolean',
+    'aria-multiline': 'boolean',
+    'aria-multiselectable': 'boolean',
+    'aria-orientation': ['horizontal', 'undefined', 'vertical'],
+    'aria-owns': 'idrefs',
+    'aria-placeholder': 'string',
+    'aria-posinset': 'integer',
+    'aria-pressed': ['true', 'false', 'mixed', 'undefined'],
+    'aria-readonly': 'boolean',
+    'aria-relevant': 'tokens',
+    'aria-required': 'boolean',
+    'aria-roledescription': 'string',
+    'aria-rowcount': 'integer',
+    'aria-rowindex': 'integer',
+    'aria-rowindextext': 'string',
+    'aria-rowspan': 'integer',
+    'aria-selected': ['true', 'false', 'undefined'],
+    'aria-setsize': 'integer',
+    'aria-sort': ['ascending', 'descending', 'none', 'other'],
+    'aria-valuemax': 'number',
+    'aria-valuemin': 'number',
+    'aria-valuenow': 'number',
+    'aria-valuetext': 'string'
+};
+
+/**
+ * Installed in the page once before the rules run (as window.__gfvA11y).
+ * Must be self-contained - it is serialized into the browser.
+ */
+function installHelpers(roles, attributes) {
+    const isHidden = el => {
+        for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+            if (node.getAttribute('aria-hidden') === 'true' || node.hidden) return true;
+            const styles = getComputedStyle(node);
+            if (styles.display === 'none' || styles.visibility === 'hidden') return true;
+        }
+        return false;
+    };
+    
+    const target = el => {
+        const parts = [];
+        for (let node = el; node && node.nodeType === Node.ELEMENT_NODE && parts.length < 3; node = node.parentElement) {
+            if (node.id) {
+                parts.unshift(`#${CSS.escape(node.id)}`);
+                break;
+            }
+            let part = node.tagName.toLowerCase();
+            const siblings = node.parentElement
+                ? Array.from(node.parentElement.children).filter(s => s.tagName === node.tagName)
+                : [];
+            if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            parts.unshift(part);
+        }
+        return parts.join(' > ');
+    };
+    
+    const snippet = el => el.outerHTML.replace(/\s+/g, ' ').substring(0, 120);
+    
+    // Implicit roles for the elements this site uses; explicit role wins
+    const landmarkScoped = el => !!el.parentElement && !!el.parentElement.closest('article, aside, main, nav, section');
+    const implicitRole = el => {
+        const tag = el.tagName.toLowerCase();
+        switch (tag) {
+            case 'a': case 'area': return el.hasAttribute('href') ? 'link' : 'generic';
+            case 'button': return 'button';
+            case 'nav': return 'navigation';
+            case 'main': return 'main';
+            case 'aside': return 'complementary';
+            case 'header': return landmarkScoped(el) ? 'generic' : 'banner';
+            case 'footer': return landmarkScoped(el) ? 'generic' : 'contentinfo';
+            case 'section': return el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : 'generic';
+            case 'form': return 'form';
+            case 'img': return el.getAttribute('alt') === '' ? 'presentation' : 'img';
+            case 'select': return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+            case 'textarea': return 'textbox';
+            case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': return 'heading';
+            case 'ul': case 'ol': return 'list';
+            case 'li': return 'listitem';
+            case 'input': {
+                const type = (el.getAttribute('type') || 'text').toLowerCase();
+                if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+                if (type === 'checkbox') return 'checkbox';
+                if (type === 'radio') return 'radio';
+                if (type === 'range') return 'slider';
+                if (type === 'number') return 'spinbutton';
+                if (type === 'search') return 'searchbox';
+                if (type === 'hidden') return null;
+                return 'textbox';
+            }
+            default: return null;
+        }
+    };
+    const role = el => (el.getAttribute('role') || '').trim().split(/\s+/)[0] || implicitRole(el);
+    
+    const nameFromContentRoles = ['button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+        'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+        'tooltip', 'treeitem'];
+    
+    // Simplified accessible name computation (accname 1.2 steps 2B-2I)
+    function accessibleName(el, visited = new Set()) {
+        if (visited.has(el)) return '';
+        visited.add(el);
+        
+        const labelledby = (el.getAttribute('aria-labelledby') || '').trim();
+        if (labelledby && visited.size === 1) {
+            const text = labelledby.split(/\s+/)
+                .map(id => document.getElementById(id))
+                .filter(Boolean)
+                .map(ref => accessibleName(ref, visited) || ref.textContent.trim())
+                .join(' ')
+                .trim();
+            if (text) return text;
+        }
+        
+        const label = (el.getAttribute('aria-label') || '').trim();
+        if (label) return label;
+        
+        const tag = el.tagName.toLowerCase();
+        if (['input', 'select', 'textarea'].includes(tag)) {
+            const type = (el.getAttribute('type') || '').toLowerCase();
+            if (['button', 'submit', 'reset'].includes(type)) {
+                return el.value || { submit: 'Submit', reset: 'Reset' }[type] || '';
+            }
+            if (type === 'image') return (el.getAttribute('alt') || '').trim();
+            const labels = Array.from(el.labels || []).map(l => l.textContent.trim()).filter(Boolean);
+            if (labels.length > 0) return labels.join(' ');
+        }
+        if (tag === 'img' || tag === 'area') {
+            const alt = el.getAttribute('alt');
+            if (alt !== null) return alt.trim();
+        }
+        if (tag === 'fieldset') {
+            const legend = el.querySelector(':scope > legend');
+            if (legend) return legend.textContent.trim();
+        }
+        
+        if (nameFromContentRoles.includes(role(el)) || visited.size > 1) {
+            const text = Array.from(el.childNodes).map(child => {
+                if (child.nodeType === Node.TEXT_NODE) return child.textContent;
+                if (child.nodeType !== Node.ELEMENT_NODE || isHidden(child)) return '';
+                return accessibleName(child, visited);
+            }).join(' ').replace(/\s+/g, ' ').trim();
+            if (text) return text;
+        }
+        
+        const title = (el.getAttribute('title') || '').trim();
+        if (title) return title;
+        return (el.getAttribute('placeholder') || '').trim();
+    }
+    
+    const isInteractive = el => {
+        if (isHidden(el)) return false;
+        const tag = el.tagName.toLowerCase();
+        if (tag === 'a' && el.hasAttribute('href')) return true;
+        if (['button', 'select', 'textarea', 'details', 'summary'].includes(tag)) return true;
+        if (tag === 'input' && el.type !== 'hidden') return true;
+        const tabindex = el.getAttribute('tabindex');
+        if (tabindex !== null && parseInt(tabindex, 10) >= 0) return true;
+        return ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option', 'textbox',
+            'combobox', 'slider', 'spinbutton'].includes(el.getAttribute('role'));
+    };
+    
+    window.__gfvA11y = { roles, attributes, isHidden, target, snippet, role, accessibleName, isInteractive };
+}
+
+/**
+ * Rule registry. `evaluate` runs in the page (window.__gfvA11y available) and
+ * returns one { node, passed, message } per applicable node; the engine
+ * swaps `node` for a selector and markup snippet.
+ *
+ * Severities: critical and serious fail the test, moderate and minor warn.
+ */
+const A11yRules = {
+    'aria-valid-role': {
+        description: 'role attributes use valid, non-abstract ARIA roles',
+        severity: 'serious',
+        wcag: '4.1.2',
+        evaluate() {
+            const { roles } = window.__gfvA11y;
+            return Array.from(document.querySelectorAll('[role]')).map(node => {
+                const invalid = node.getAttribute('role').trim().split(/\s+/).filter(r => r && !roles.includes(r));
+                return {
+                    node,
+                    passed: invalid.length === 0 && node.getAttribute('role').trim() !== '',
+                    message: invalid.length > 0 ? `Unknown role(s): ${invalid.join(', ')}` : 'Empty role attribute'
+                };
+            });
+        }
+    },
+    
+    'aria-valid-attr': {
+        description: 'aria-* attributes are defined in ARIA 1.2',
+        severity: 'serious',
+        wcag: '4.1.2',
+        evaluate() {
+            const { attributes } = window.__gfvA11y;
+            const results = [];
+            document.querySelectorAll('*').forEach(node => {
+                const aria = Array.from(node.attributes).filter(a => a.name.startsWith('aria-'));
+                if (aria.length === 0) return;
+                const unknown = aria.filter(a => !(a.name in attributes)).map(a => a.name);
+                results.push({ node, passed: unknown.length === 0, message: `Unknown attribute(s): ${unknown.join(', ')}` });
+            });
+            return results;
+        }
+    },
+    
+    'aria-valid-attr-value': {
+        description: 'aria-* attribute values match their type and ID references exist',
+        severity: 'serious',
+        wcag: '4.1.2',
+        evaluate() {
+            const { attributes } = window.__gfvA11y;
+            const results = [];
+            document.querySelectorAll('*').forEach(node => {
+                const problems = [];
+                Array.from(node.attributes).forEach(({ name, value }) => {
+                    const type = attributes[name];
+                    if (!type) return;
+                    const trimmed = value.trim();
+                    
+                    if (Array.isArray(type)) {
+                        if (!type.includes(trimmed)) problems.push(`${name}="${value}" (expected ${type.join('|')})`);
+                    } else if (type === 'boolean') {
+                        if (!['true', 'false'].includes(trimmed)) problems.push(`${name}="${value}" (expected true|false)`);
+                    } else if (type === 'integer') {
+                        if (!/^-?\d+$/.test(trimmed)) problems.push(`${name}="${value}" (expected an integer)`);
+                    } else if (type === 'number') {
+                        if (trimmed === '' || isNaN(Number(trimmed))) problems.push(`${name}="${value}" (expected a number)`);
+                    } else if (type === 'idref' || type === 'idrefs') {
+                        const ids = trimmed.split(/\s+/).filter(Boolean);
+                        const missing = ids.filter(id => !document.getElementById(id));
+                        if (ids.length === 0) problems.push(`${name} is empty`);
+                        else if (missing.length > 0) problems.push(`${name} references missing id(s): ${missing.join(', ')}`);
+                    }
+                });
+                const hasAria = Array.from(node.attributes).some(a => a.name in attributes);
+                if (hasAria) results.push({ node, passed: problems.length === 0, message: problems.join('; ') });
+            });
+            return results;
+        }
+    },
+    
+    'duplicate-id': {
+        description: 'id attributes are unique',
+        severity: 'serious',
+        wcag: '4.1.1',
+        evaluate() {
+            const counts = {};
+            const nodes = Array.from(document.querySelectorAll('[id]'));
+            nodes.forEach(node => {
+                counts[node.id] = (counts[node.id] || 0) + 1;
+            });
+            return nodes.map(node => ({
+                node,
+                passed: counts[node.id] === 1,
+                message: `id "${node.id}" is used ${counts[node.id]} times`
+            }));
+        }
+    },
+    
+    'nested-interactive': {
+        description: 'interactive elements do not contain other interactive elements',
+        severity: 'serious',
+        wcag: '4.1.2',
+        evaluate() {
+            const { isInteractive, target } = window.__gfvA11y;
+            return Array.from(document.querySelectorAll('body *'))
+                .filter(isInteractive)
+                .map(node => {
+                    const nested = Array.from(node.querySelectorAll('*')).filter(isInteractive);
+                    return {
+                        node,
+                        passed: nested.length === 0,
+                        message: `Contains interactive element(s): ${nested.slice(0, 3).map(target).join(', ')}`
+                    };
+                });
+        }
+    },
+    
+    'landmark-unique': {
+        description: 'landmarks are unique, or distinguished by accessible names',
+        severity: 'moderate',
+        wcag: '1.3.1',
+        evaluate() {
+            const { role, accessibleName, isHidden } = window.__gfvA11y;
+            const landmarkRoles = ['banner', 'complementary', 'contentinfo', 'form', 'main', 'navigation', 'region', 'search'];
+            const singletons = ['banner', 'contentinfo', 'main'];
+            const landmarks = Array.from(document.querySelectorAll('body, body *'))
+                .filter(node => landmarkRoles.includes(role(node)) && !isHidden(node))
+                .map(node => ({ node, role: role(node), name: accessibleName(node) }));
+            
+            return landmarks.map(({ node, role: landmarkRole, name }) => {
+                const sameRole = landmarks.filter(l => l.role === landmarkRole);
+                const sameName = sameRole.filter(l => l.name === name);
+                if (singletons.includes(landmarkRole) && sameRole.length > 1) {
+                    return { node, passed: false, message: `${sameRole.length} ${landmarkRole} landmarks - there should be one` };
+                }
+                return {
+                    node,
+                    passed: sameName.length === 1,
+                    message: `${sameName.length} ${landmarkRole} landmarks share the name "${name}" - label each one`
+                };
+            });
+        }
+    },
+    
+    'accessible-name': {
+        description: 'links, buttons, form fields and images have an accessible name',
+        severity: 'critical',
+        wcag: '4.1.2',
+        evaluate() {
+            const { accessibleName, isHidden, role } = window.__gfvA11y;
+            const selector = 'a[href], button, input:not([type="hidden"]), select, textarea, img, [role="button"], [role="link"], [role="img"], [role="checkbox"], [role="tab"]';
+            return Array.from(document.querySelectorAll(selector))
+                .filter(node => !isHidden(node) && !['presentation', 'none'].includes(role(node)))
+                .map(node => ({
+                    node,
+                    passed: accessibleName(node) !== '',
+                    message: `${role(node) || node.tagName.toLowerCase()} has no accessible name`
+                }));
+        }
+    },
+    
+    'no-javascript-href': {
+        description: 'links have real destinations - javascript: URLs belong on buttons',
+        severity: 'moderate',
+        wcag: '4.1.2',
+        evaluate() {
+            return Array.from(document.querySelectorAll('a[href]')).map(node => ({
+                node,
+                passed: !/^\s*javascript:/i.test(node.getAttribute('href')),
+                message: `href="${node.getAttribute('href')}" - use a <button> for actions or a mailto:/https: URL for destinations`
+            }));
+        }
+    }
+};
+
+/**
+ * Run rules (all by default) against the page. Returns one entry per rule:
+ * { id, description, severity, wcag, passed, violations: [{ target, html, message }] }
+ */
+async function runA11yRules(page, ruleIds = Object.keys(A11yRules)) {
+    await page.evaluate(installHelpers, ARIA_ROLES, ARIA_ATTRIBUTES);
+    
+    const report = [];
+    for (const id of ruleIds) {
+        const rule = A11yRules[id];
+        if (!rule) throw new Error(`Unknown accessibility rule "${id}"`);
+        
+        const nodes = await page.evaluate(source => {
+            const { target, snippet } = window.__gfvA11y;
+            // Rule functions are shipped as source, so they evaluate in the page
+            const evaluate = new Function(`return (${source})`)();
+            return evaluate().map(({ node, passed, message }) => ({
+                target: target(node),
+                html: snippet(node),
+                passed,
+                message: passed ? null : message
+            }));
+        }, rule.evaluate.toString().replace(/^evaluate\s*\(/, 'function('));
+        
+        report.push({
+            id,
+            description: rule.description,
+            severity: rule.severity,
+            wcag: rule.wcag,
+            passed: nodes.filter(n => n.passed).length,
+            violations: nodes.filter(n => !n.passed).map(({ target, html, message }) => ({ target, html, message }))
+        });
+    }
+    return report;
+}
+
+module.exports = {
+    A11yRules,
+    runA11yRules,
+    ARIA_ROLES,
+    ARIA_ATTRIBUTES
+};
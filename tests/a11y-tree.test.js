@@ -0,0 +1,109 @@
+/**
+ * GFV LLC - Accessibility Tree Snapshots
+ * Roles, names and states per page region compared against approved snapshots
+ *
+ * The approved trees are plain text under tests/baselines/a11y, so a change to what
+ * assistive technology hears shows up in review like any other diff. Update them with
+ * node tests/run-all-tests.js --suite a11ytree --approve
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { suite, DiffUtils, config } = require('./test-utils');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+// Snapshots are stored per page, e.g. baselines/a11y/index/nav.txt
+function snapshotPath(target, regionName) {
+    const pageName = path.basename(new URL(target).pathname, '.html');
+    return path.join(config.a11ySnapshots.baselineDir, pageName, `${regionName}.txt`);
+}
+
+// One line per node, indented by depth: role "name" [state, property=value]
+function serializeTree(node, depth = 0, lines = []) {
+    const states = config.a11ySnapshots.properties
+        .filter(key => node[key] !== undefined && node[key] !== false && node[key] !== '')
+        .map(key => node[key] === true ? key : `${key}=${JSON.stringify(node[key])}`);
+    const name = node.name ? ` ${JSON.stringify(node.name)}` : '';
+    
+    lines.push(`${'  '.repeat(depth)}${node.role}${name}${states.length > 0 ? ` [${states.join(', ')}]` : ''}`);
+    (node.children || []).forEach(child => serializeTree(child, depth + 1, lines));
+    return lines;
+}
+
+// Puppeteer's snapshot({ root }) returns only the first interesting child when the root
+// itself is not interesting (a plain <section>, <div> or <header>). The root is made
+// focusable for the capture, which always makes it interesting; a nameless generic root
+// is then left out and its children written instead.
+async function captureRegion(page, selector) {
+    const root = await page.$(selector);
+    if (!root) return `(no element matches ${selector})\n`;
+    
+    try {
+        const markFocusable = await root.evaluate(el => {
+            if (el.hasAttribute('tabindex')) return false;
+            el.setAttribute('tabindex', '-1');
+            return true;
+        });
+        let tree;
+        try {
+            tree = await page.accessibility.snapshot({ root, interestingOnly: true });
+        } finally {
+            if (markFocusable) await root.evaluate(el => el.removeAttribute('tabindex'));
+        }
+        
+        if (!tree) return '(not exposed to assistive technology)\n';
+        const container = ['generic', 'none'].includes(tree.role) && !tree.name;
+        const nodes = container ? tree.children || [] : [tree];
+        return `${nodes.map(node => serializeTree(node).join('\n')).join('\n')}\n`;
+    } finally {
+        await root.dispose();
+    }
+}
+
+const runA11yTreeTests = suite('Accessibility Tree', ({ test, target, options }) => {
+    const { approve = false } = options;
+    
+    config.a11ySnapshots.regions.forEach(region => {
+        test(`[${region.name}] Matches accessibility tree snapshot`, async ({ page, warn, fail }) => {
+            const file = snapshotPath(target, region.name);
+            const relativeFile = path.relative(repoRoot, file).replace(/\\/g, '/');
+            const current = await captureRegion(page, region.selector);
+            
+            if (approve) {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, current);
+                return { snapshot: relativeFile, approved: true, nodes: current.trim().split('\n').length };
+            }
+            
+            if (!fs.existsSync(file)) {
+                warn(`No snapshot for region "${region.name}" at ${relativeFile} - add one with --approve`, { snapshot: relativeFile, current });
+                return;
+            }
+            
+            const approved = fs.readFileSync(file, 'utf8');
+            const comparison = DiffUtils.unified(approved.trimEnd(), current.trimEnd(), {
+                fromLabel: `${relativeFile} (approved)`,
+                toLabel: `${region.selector} (current)`
+            });
+            
+            if (comparison.identical) {
+                return { snapshot: relativeFile, nodes: current.trim().split('\n').length };
+            }
+            
+            fail(new Error(`Accessibility tree changed: ${comparison.removed} line(s) removed, ${comparison.added} added - ` +
+                'review the diff and run with --approve if intended'),
+                { snapshot: relativeFile, added: comparison.added, removed: comparison.removed, diff: comparison.diff }
+            );
+        });
+    });
+});
+
+module.exports = { runA11yTreeTests };
+
+if (require.main === module) {
+    runA11yTreeTests({ approve: process.argv.includes('--approve') }).then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
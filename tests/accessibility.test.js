@@ -3,572 +3,799 @@
  * Comprehensive WCAG 2.1 AA compliance testing
  */
 
-const { TestResults, BrowserUtils, ElementUtils, ColorUtils, Assertions, config } = require('./test-utils');
+const { suite, BrowserUtils, ElementUtils, ColorUtils, Assertions, config, delay } = require('./test-utils');
+const { PngUtils, PixelDiff } = require('./image-utils');
+const { A11yRules, runA11yRules } = require('./a11y-rules');
 
-async function runAccessibilityTests() {
-    const results = new TestResults('Accessibility (WCAG 2.1 AA)');
-    let browser;
+// Critical and serious rule violations fail, moderate and minor ones warn
+const BLOCKING_SEVERITIES = ['critical', 'serious'];
+
+const runAccessibilityTests = suite('Accessibility (WCAG 2.1 AA)', ({ test }) => {
+    test('Document language', async ({ page }) => {
+        const lang = await page.evaluate(() => {
+            return {
+                hasLang: document.documentElement.hasAttribute('lang'),
+                lang: document.documentElement.lang,
+                isValidLang: /^[a-z]{2}(-[A-Z]{2})?$/.test(document.documentElement.lang)
+            };
+        });
+        
+        Assertions.isTrue(lang.hasLang, 'Document should have lang attribute');
+        Assertions.isTrue(lang.isValidLang, `Lang "${lang.lang}" should be valid format`);
+        
+        return lang;
+    });
     
-    try {
-        browser = await BrowserUtils.launchBrowser();
-        const page = await BrowserUtils.createPage(browser);
+    test('Page title', async ({ page }) => {
+        const title = await page.evaluate(() => {
+            return {
+                hasTitle: !!document.title,
+                title: document.title,
+                length: document.title.length,
+                isDescriptive: document.title.length > 10 && document.title.length < 70
+            };
+        });
         
-        await page.goto(config.targets.mainSite, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+        Assertions.isTrue(title.hasTitle, 'Page should have title');
+        Assertions.isTrue(title.isDescriptive, 'Title should be descriptive (10-70 chars)');
         
-        // ============================================
-        // TEST: Document Language
-        // ============================================
-        try {
-            const lang = await page.evaluate(() => {
-                return {
-                    hasLang: document.documentElement.hasAttribute('lang'),
-                    lang: document.documentElement.lang,
-                    isValidLang: /^[a-z]{2}(-[A-Z]{2})?$/.test(document.documentElement.lang)
-                };
-            });
+        return title;
+    });
+    
+    test('Heading hierarchy', async ({ page, warn, fail }) => {
+        const headings = await page.evaluate(() => {
+            const allHeadings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+            const headingData = Array.from(allHeadings).map((h, i) => ({
+                level: parseInt(h.tagName[1]),
+                text: h.textContent.trim().substring(0, 50),
+                index: i
+            }));
             
-            Assertions.isTrue(lang.hasLang, 'Document should have lang attribute');
-            Assertions.isTrue(lang.isValidLang, `Lang "${lang.lang}" should be valid format`);
+            // Check for skipped levels
+            const issues = [];
+            let prevLevel = 0;
             
-            results.pass('Document language set correctly', lang);
-        } catch (e) {
-            results.fail('Document language', e);
+            headingData.forEach((h, i) => {
+                if (prevLevel > 0 && h.level > prevLevel + 1) {
+                    issues.push(`Skipped from h${prevLevel} to h${h.level} at "${h.text}"`);
+                }
+                prevLevel = h.level;
+            });
+            
+            return {
+                count: allHeadings.length,
+                h1Count: document.querySelectorAll('h1').length,
+                headings: headingData,
+                issues,
+                hasProperH1: document.querySelectorAll('h1').length === 1
+            };
+        });
+        
+        if (!headings.hasProperH1) {
+            fail(new Error(`Should have exactly 1 h1, found ${headings.h1Count}`), headings);
+        } else if (headings.issues.length > 0) {
+            warn(headings.issues.join('; '), headings);
+        } else {
+            return headings;
         }
+    });
+    
+    test('Image alt text', async ({ page, warn, fail }) => {
+        const images = await page.evaluate(() => {
+            const imgs = document.querySelectorAll('img');
+            return Array.from(imgs).map(img => ({
+                src: img.src.split('/').pop(),
+                hasAlt: img.hasAttribute('alt'),
+                alt: img.alt,
+                isDecorative: img.alt === '' && img.hasAttribute('alt'),
+                inLink: !!img.closest('a'),
+                width: img.width,
+                height: img.height,
+                role: img.getAttribute('role')
+            }));
+        });
         
-        // ============================================
-        // TEST: Page Title
-        // ============================================
-        try {
-            const title = await page.evaluate(() => {
+        const missingAlt = images.filter(img => !img.hasAlt);
+        const emptyAltInLink = images.filter(img => img.isDecorative && img.inLink);
+        
+        if (missingAlt.length > 0) {
+            fail(new Error(`${missingAlt.length} images missing alt attribute`), { missingAlt });
+        } else if (emptyAltInLink.length > 0) {
+            warn('Linked images with empty alt may cause accessibility issues', { emptyAltInLink });
+        } else {
+            return { count: images.length };
+        }
+    });
+    
+    test('Link text quality', async ({ page, warn, fail }) => {
+        const links = await page.evaluate(() => {
+            const allLinks = document.querySelectorAll('a');
+            const vagueLinkTexts = ['click here', 'here', 'read more', 'learn more', 'more', 'link'];
+            
+            return Array.from(allLinks).map(a => {
+                const text = a.textContent.trim().toLowerCase();
+                const ariaLabel = a.getAttribute('aria-label');
+                const title = a.title;
+                
                 return {
-                    hasTitle: !!document.title,
-                    title: document.title,
-                    length: document.title.length,
-                    isDescriptive: document.title.length > 10 && document.title.length < 70
+                    text: a.textContent.trim().substring(0, 50),
+                    href: a.href,
+                    isVague: vagueLinkTexts.includes(text) && !ariaLabel,
+                    hasAriaLabel: !!ariaLabel,
+                    ariaLabel,
+                    isEmpty: text.length === 0 && !ariaLabel,
+                    hasTitle: !!title
                 };
             });
-            
-            Assertions.isTrue(title.hasTitle, 'Page should have title');
-            Assertions.isTrue(title.isDescriptive, 'Title should be descriptive (10-70 chars)');
-            
-            results.pass('Page title appropriate', title);
-        } catch (e) {
-            results.fail('Page title', e);
-        }
+        });
         
-        // ============================================
-        // TEST: Heading Hierarchy
-        // ============================================
-        try {
-            const headings = await page.evaluate(() => {
-                const allHeadings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-                const headingData = Array.from(allHeadings).map((h, i) => ({
-                    level: parseInt(h.tagName[1]),
-                    text: h.textContent.trim().substring(0, 50),
-                    index: i
-                }));
-                
-                // Check for skipped levels
-                const issues = [];
-                let prevLevel = 0;
-                
-                headingData.forEach((h, i) => {
-                    if (prevLevel > 0 && h.level > prevLevel + 1) {
-                        issues.push(`Skipped from h${prevLevel} to h${h.level} at "${h.text}"`);
-                    }
-                    prevLevel = h.level;
-                });
+        const vagueLinks = links.filter(l => l.isVague);
+        const emptyLinks = links.filter(l => l.isEmpty);
+        
+        if (emptyLinks.length > 0) {
+            fail(new Error(`${emptyLinks.length} links have no accessible text`), { emptyLinks });
+        } else if (vagueLinks.length > 0) {
+            warn('Some links use generic text like "click here"', { vagueLinks });
+        } else {
+            return { totalLinks: links.length };
+        }
+    });
+    
+    test('Form labels', async ({ page, warn, fail }) => {
+        const formLabels = await page.evaluate(() => {
+            const inputs = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]), textarea, select');
+            
+            return Array.from(inputs).map(input => {
+                const id = input.id;
+                const explicitLabel = id ? document.querySelector(`label[for="${id}"]`) : null;
+                const implicitLabel = input.closest('label');
+                const ariaLabel = input.getAttribute('aria-label');
+                const ariaLabelledBy = input.getAttribute('aria-labelledby');
+                const placeholder = input.placeholder;
                 
                 return {
-                    count: allHeadings.length,
-                    h1Count: document.querySelectorAll('h1').length,
-                    headings: headingData,
-                    issues,
-                    hasProperH1: document.querySelectorAll('h1').length === 1
+                    type: input.type || input.tagName.toLowerCase(),
+                    id,
+                    name: input.name,
+                    hasExplicitLabel: !!explicitLabel,
+                    hasImplicitLabel: !!implicitLabel,
+                    hasAriaLabel: !!ariaLabel,
+                    hasAriaLabelledBy: !!ariaLabelledBy,
+                    hasPlaceholderOnly: !explicitLabel && !implicitLabel && !ariaLabel && !ariaLabelledBy && !!placeholder,
+                    isAccessible: !!(explicitLabel || implicitLabel || ariaLabel || ariaLabelledBy)
                 };
             });
-            
-            if (!headings.hasProperH1) {
-                results.fail('Heading hierarchy', 
-                    new Error(`Should have exactly 1 h1, found ${headings.h1Count}`),
-                    headings
-                );
-            } else if (headings.issues.length > 0) {
-                results.warn('Heading hierarchy has skipped levels', 
-                    headings.issues.join('; '),
-                    headings
-                );
-            } else {
-                results.pass('Heading hierarchy correct', headings);
-            }
-        } catch (e) {
-            results.fail('Heading hierarchy', e);
-        }
+        });
         
-        // ============================================
-        // TEST: Image Alt Text
-        // ============================================
-        try {
-            const images = await page.evaluate(() => {
-                const imgs = document.querySelectorAll('img');
-                return Array.from(imgs).map(img => ({
-                    src: img.src.split('/').pop(),
-                    hasAlt: img.hasAttribute('alt'),
-                    alt: img.alt,
-                    isDecorative: img.alt === '' && img.hasAttribute('alt'),
-                    inLink: !!img.closest('a'),
-                    width: img.width,
-                    height: img.height,
-                    role: img.getAttribute('role')
-                }));
-            });
-            
-            const missingAlt = images.filter(img => !img.hasAlt);
-            const emptyAltInLink = images.filter(img => img.isDecorative && img.inLink);
-            
-            if (missingAlt.length > 0) {
-                results.fail('Image alt text', 
-                    new Error(`${missingAlt.length} images missing alt attribute`),
-                    { missingAlt }
-                );
-            } else if (emptyAltInLink.length > 0) {
-                results.warn('Images in links with empty alt',
-                    'Linked images with empty alt may cause accessibility issues',
-                    { emptyAltInLink }
-                );
-            } else {
-                results.pass('All images have alt text', { count: images.length });
-            }
-        } catch (e) {
-            results.fail('Image alt text', e);
-        }
+        const inaccessibleInputs = formLabels.filter(i => !i.isAccessible);
+        const placeholderOnly = formLabels.filter(i => i.hasPlaceholderOnly);
         
-        // ============================================
-        // TEST: Link Text Quality
-        // ============================================
-        try {
-            const links = await page.evaluate(() => {
-                const allLinks = document.querySelectorAll('a');
-                const vagueLinkTexts = ['click here', 'here', 'read more', 'learn more', 'more', 'link'];
-                
-                return Array.from(allLinks).map(a => {
-                    const text = a.textContent.trim().toLowerCase();
-                    const ariaLabel = a.getAttribute('aria-label');
-                    const title = a.title;
+        if (inaccessibleInputs.length > 0) {
+            fail(new Error(`${inaccessibleInputs.length} form fields have no accessible label`), { inaccessibleInputs });
+        } else if (placeholderOnly.length > 0) {
+            warn('Placeholders disappear on input - use proper labels', { placeholderOnly });
+        } else {
+            return { count: formLabels.length };
+        }
+    });
+    
+    test('Color contrast', async ({ page, warn }) => {
+        // Raw computed styles only - all color math happens here, with ColorUtils
+        const samples = await page.evaluate(() => {
+            const describe = el => el.tagName.toLowerCase() +
+                (el.id ? `#${el.id}` : '') +
+                (typeof el.className === 'string' && el.className.trim() ? '.' + el.className.trim().split(/\s+/).join('.') : '');
+            
+            return Array.from(document.querySelectorAll('p, span, a, h1, h2, h3, h4, h5, h6, li, label, button'))
+                .filter(el => {
+                    const styles = getComputedStyle(el);
+                    const ownText = Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
+                    return ownText && styles.display !== 'none' && styles.visibility !== 'hidden';
+                })
+                .map(el => {
+                    const styles = getComputedStyle(el);
+                    const layers = [];
+                    for (let node = el; node; node = node.parentElement) {
+                        const nodeStyles = getComputedStyle(node);
+                        layers.push({
+                            element: describe(node),
+                            backgroundColor: nodeStyles.backgroundColor,
+                            backgroundImage: nodeStyles.backgroundImage
+                        });
+                    }
                     
                     return {
-                        text: a.textContent.trim().substring(0, 50),
-                        href: a.href,
-                        isVague: vagueLinkTexts.includes(text) && !ariaLabel,
-                        hasAriaLabel: !!ariaLabel,
-                        ariaLabel,
-                        isEmpty: text.length === 0 && !ariaLabel,
-                        hasTitle: !!title
+                        element: describe(el),
+                        text: el.textContent.trim().substring(0, 30),
+                        color: styles.color,
+                        textFill: styles.webkitTextFillColor,
+                        backgroundClip: styles.webkitBackgroundClip || styles.backgroundClip,
+                        fontSize: parseFloat(styles.fontSize),
+                        fontWeight: styles.fontWeight,
+                        layers
                     };
                 });
-            });
+        });
+        
+        const issues = [];
+        const undetermined = [];
+        const checked = new Set();
+        
+        samples.forEach(sample => {
+            // Gradient text paints the background through the glyphs
+            if (sample.backgroundClip === 'text') {
+                undetermined.push({ element: sample.element, text: sample.text, reason: 'gradient text (background-clip: text)' });
+                return;
+            }
             
-            const vagueLinks = links.filter(l => l.isVague);
-            const emptyLinks = links.filter(l => l.isEmpty);
-            
-            if (emptyLinks.length > 0) {
-                results.fail('Link text quality',
-                    new Error(`${emptyLinks.length} links have no accessible text`),
-                    { emptyLinks }
-                );
-            } else if (vagueLinks.length > 0) {
-                results.warn('Vague link text detected',
-                    'Some links use generic text like "click here"',
-                    { vagueLinks }
-                );
-            } else {
-                results.pass('Link text quality good', { totalLinks: links.length });
+            const background = ColorUtils.effectiveBackground(sample.layers);
+            if (!background.color) {
+                undetermined.push({ element: sample.element, text: sample.text, reason: background.reason });
+                return;
             }
-        } catch (e) {
-            results.fail('Link text quality', e);
-        }
-        
-        // ============================================
-        // TEST: Form Labels
-        // ============================================
-        try {
-            const formLabels = await page.evaluate(() => {
-                const inputs = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]), textarea, select');
-                
-                return Array.from(inputs).map(input => {
-                    const id = input.id;
-                    const explicitLabel = id ? document.querySelector(`label[for="${id}"]`) : null;
-                    const implicitLabel = input.closest('label');
-                    const ariaLabel = input.getAttribute('aria-label');
-                    const ariaLabelledBy = input.getAttribute('aria-labelledby');
-                    const placeholder = input.placeholder;
-                    
-                    return {
-                        type: input.type || input.tagName.toLowerCase(),
-                        id,
-                        name: input.name,
-                        hasExplicitLabel: !!explicitLabel,
-                        hasImplicitLabel: !!implicitLabel,
-                        hasAriaLabel: !!ariaLabel,
-                        hasAriaLabelledBy: !!ariaLabelledBy,
-                        hasPlaceholderOnly: !explicitLabel && !implicitLabel && !ariaLabel && !ariaLabelledBy && !!placeholder,
-                        isAccessible: !!(explicitLabel || implicitLabel || ariaLabel || ariaLabelledBy)
-                    };
-                });
-            });
             
-            const inaccessibleInputs = formLabels.filter(i => !i.isAccessible);
-            const placeholderOnly = formLabels.filter(i => i.hasPlaceholderOnly);
-            
-            if (inaccessibleInputs.length > 0) {
-                results.fail('Form labels',
-                    new Error(`${inaccessibleInputs.length} form fields have no accessible label`),
-                    { inaccessibleInputs }
-                );
-            } else if (placeholderOnly.length > 0) {
-                results.warn('Inputs using placeholder as only label',
-                    'Placeholders disappear on input - use proper labels',
-                    { placeholderOnly }
-                );
-            } else {
-                results.pass('All form fields have labels', { count: formLabels.length });
+            const ownColor = ColorUtils.parseColor(sample.textFill) || ColorUtils.parseColor(sample.color);
+            if (!ownColor || ownColor.a === 0) {
+                undetermined.push({ element: sample.element, text: sample.text, reason: `unreadable text color ${sample.textFill || sample.color}` });
+                return;
             }
-        } catch (e) {
-            results.fail('Form labels', e);
-        }
-        
-        // ============================================
-        // TEST: Color Contrast
-        // ============================================
-        try {
-            const contrastIssues = await page.evaluate(() => {
-                const issues = [];
-                const textElements = document.querySelectorAll('p, span, a, h1, h2, h3, h4, h5, h6, li, label, button');
-                
-                // Helper to parse color
-                const parseColor = (color) => {
-                    if (!color || color === 'transparent') return null;
-                    const match = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-                    if (match) {
-                        return { r: parseInt(match[1]), g: parseInt(match[2]), b: parseInt(match[3]) };
-                    }
-                    return null;
-                };
-                
-                // Helper for luminance
-                const getLuminance = (color) => {
-                    if (!color) return 0;
-                    const [rs, gs, bs] = [color.r, color.g, color.b].map(c => {
-                        c = c / 255;
-                        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-                    });
-                    return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
-                };
-                
-                // Helper for contrast ratio
-                const getContrastRatio = (c1, c2) => {
-                    const l1 = getLuminance(c1);
-                    const l2 = getLuminance(c2);
-                    return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
-                };
-                
-                const checked = new Set();
-                
-                textElements.forEach(el => {
-                    const styles = getComputedStyle(el);
-                    if (styles.display === 'none' || styles.visibility === 'hidden') return;
-                    
-                    const fg = parseColor(styles.color);
-                    const bg = parseColor(styles.backgroundColor);
-                    
-                    if (!fg || !bg) return;
-                    
-                    const key = `${styles.color}-${styles.backgroundColor}`;
-                    if (checked.has(key)) return;
-                    checked.add(key);
-                    
-                    const ratio = getContrastRatio(fg, bg);
-                    const fontSize = parseFloat(styles.fontSize);
-                    const isBold = parseInt(styles.fontWeight) >= 700;
-                    const isLargeText = fontSize >= 18 || (fontSize >= 14 && isBold);
-                    const minRatio = isLargeText ? 3 : 4.5;
-                    
-                    if (ratio < minRatio) {
-                        issues.push({
-                            element: el.tagName,
-                            text: el.textContent.substring(0, 30),
-                            fgColor: styles.color,
-                            bgColor: styles.backgroundColor,
-                            ratio: ratio.toFixed(2),
-                            required: minRatio,
-                            isLargeText
-                        });
-                    }
-                });
-                
-                return {
-                    checked: checked.size,
-                    issues: issues.slice(0, 10)
-                };
-            });
             
-            if (contrastIssues.issues.length > 0) {
-                results.warn('Color contrast issues detected',
-                    `${contrastIssues.issues.length} text/background combinations may not meet WCAG AA`,
-                    contrastIssues
-                );
-            } else {
-                results.pass('Color contrast appears adequate', { combinationsChecked: contrastIssues.checked });
+            const foreground = ColorUtils.blend(ownColor, background.color);
+            const isLargeText = ColorUtils.isLargeText(sample.fontSize, sample.fontWeight);
+            const key = `${ColorUtils.toCss(foreground)}|${ColorUtils.toCss(background.color)}|${isLargeText}`;
+            if (checked.has(key)) return;
+            checked.add(key);
+            
+            const ratio = ColorUtils.getContrastRatio(foreground, background.color);
+            const required = isLargeText ? config.accessibility.contrastRatioLarge : config.accessibility.contrastRatioMin;
+            
+            if (ratio < required) {
+                issues.push({
+                    element: sample.element,
+                    text: sample.text,
+                    fgColor: ColorUtils.toCss(foreground),
+                    bgColor: ColorUtils.toCss(background.color),
+                    ratio: ratio.toFixed(2),
+                    required,
+                    isLargeText
+                });
             }
-        } catch (e) {
-            results.fail('Color contrast', e);
+        });
+        
+        const details = {
+            elementsChecked: samples.length,
+            combinationsChecked: checked.size,
+            issues: issues.slice(0, 10),
+            undetermined: undetermined.slice(0, 20)
+        };
+        
+        if (issues.length > 0 || undetermined.length > 0) {
+            const parts = [];
+            if (issues.length > 0) parts.push(`${issues.length} text/background combinations may not meet WCAG AA`);
+            if (undetermined.length > 0) parts.push(`${undetermined.length} elements have a background that could not be determined`);
+            warn(parts.join('; '), details);
+        } else {
+            return details;
         }
+    });
+    
+    // Text near photos is checked against the pixels actually rendered behind its glyphs
+    test('Text over image contrast', async ({ page, results }) => {
+        await BrowserUtils.settleForScreenshot(page);
         
-        // ============================================
-        // TEST: Focus Indicators
-        // ============================================
-        try {
-            const focusIndicators = await page.evaluate(() => {
-                const focusable = document.querySelectorAll('a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])');
-                const issues = [];
-                
-                // This is a heuristic check - actual focus testing would need interaction
-                focusable.forEach(el => {
-                    const styles = getComputedStyle(el);
-                    
-                    // Check for outline: none without other focus indication
-                    if (styles.outline === 'none' || styles.outlineStyle === 'none') {
-                        // Could still have box-shadow or border change on focus
-                        issues.push({
-                            element: el.tagName,
-                            text: el.textContent?.substring(0, 20),
-                            hasOutline: false,
-                            note: 'May have other focus styles via :focus-visible'
-                        });
-                    }
-                });
-                
-                return {
-                    totalFocusable: focusable.length,
-                    potentialIssues: issues.slice(0, 5)
-                };
+        const groups = await page.evaluate(proximity => {
+            const describe = el => el.tagName.toLowerCase() +
+                (typeof el.className === 'string' && el.className.trim() ? '.' + el.className.trim().split(/\s+/).join('.') : '');
+            const near = (a, b) => a.left < b.right + proximity && a.right > b.left - proximity &&
+                a.top < b.bottom + proximity && a.bottom > b.top - proximity;
+            
+            const textElements = Array.from(document.querySelectorAll('body *')).filter(el => {
+                const styles = getComputedStyle(el);
+                const rect = el.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0 && styles.visibility !== 'hidden' &&
+                    Array.from(el.childNodes).some(n => n.nodeType === Node.TEXT_NODE && n.textContent.trim());
             });
             
-            results.pass('Focus indicators check complete', focusIndicators);
-        } catch (e) {
-            results.fail('Focus indicators', e);
-        }
+            return Array.from(document.querySelectorAll('img'))
+                .filter(img => img.getBoundingClientRect().width > 0)
+                .map((img, i) => {
+                    const imageRect = img.getBoundingClientRect();
+                    const hoverTarget = img.closest('a, button, .portfolio-card') || img;
+                    hoverTarget.setAttribute('data-gfv-hover', i);
+                    
+                    const boxes = textElements
+                        .filter(el => near(el.getBoundingClientRect(), imageRect))
+                        .map((el, j) => {
+                            const styles = getComputedStyle(el);
+                            el.setAttribute('data-gfv-text', `${i}-${j}`);
+                            return {
+                                id: `${i}-${j}`,
+                                element: describe(el),
+                                text: el.textContent.trim().substring(0, 30),
+                                color: styles.color,
+                                fontSize: parseFloat(styles.fontSize),
+                                fontWeight: styles.fontWeight
+                            };
+                        });
+                    
+                    return { index: i, image: img.alt || img.currentSrc.split('/').pop(), src: img.currentSrc, boxes };
+                })
+                .filter(group => group.boxes.length > 0);
+        }, config.accessibility.imageTextProximity);
         
-        // ============================================
-        // TEST: ARIA Landmarks
-        // ============================================
-        try {
-            const landmarks = await page.evaluate(() => {
-                return {
-                    hasMain: !!document.querySelector('main, [role="main"]'),
-                    hasNav: !!document.querySelector('nav, [role="navigation"]'),
-                    hasHeader: !!document.querySelector('header, [role="banner"]'),
-                    hasFooter: !!document.querySelector('footer, [role="contentinfo"]'),
-                    hasRegion: !!document.querySelector('[role="region"]'),
-                    mainCount: document.querySelectorAll('main, [role="main"]').length,
-                    navCount: document.querySelectorAll('nav, [role="navigation"]').length
-                };
-            });
+        // Same box with and without its glyphs: changed pixels are the glyphs, the clean shot what is behind them
+        await page.addStyleTag({
+            content: '.gfv-hide-text, .gfv-hide-text * { color: transparent !important; -webkit-text-fill-color: transparent !important; text-shadow: none !important; }'
+        });
+        
+        async function sampleBox(box) {
+            const handle = await page.$(`[data-gfv-text="${box.id}"]`);
+            const withText = PngUtils.decode(Buffer.from(await handle.screenshot({ type: 'png' })));
+            await handle.evaluate(el => el.classList.add('gfv-hide-text'));
+            const cleanPng = Buffer.from(await handle.screenshot({ type: 'png' }));
+            await handle.evaluate(el => el.classList.remove('gfv-hide-text'));
             
-            const issues = [];
-            if (!landmarks.hasMain) issues.push('Missing main landmark');
-            if (!landmarks.hasNav) issues.push('Missing navigation landmark');
-            if (landmarks.mainCount > 1) issues.push(`Multiple main landmarks (${landmarks.mainCount})`);
+            const clean = PngUtils.decode(cleanPng);
+            const glyphPixels = PixelDiff.changedPixels(withText, clean);
+            const textColor = ColorUtils.parseColor(box.color);
             
-            if (issues.length > 0) {
-                results.warn('ARIA landmark issues', issues.join('; '), landmarks);
-            } else {
-                results.pass('ARIA landmarks present', landmarks);
-            }
-        } catch (e) {
-            results.fail('ARIA landmarks', e);
+            let worst = null;
+            glyphPixels.forEach(o => {
+                const behind = { r: clean.data[o], g: clean.data[o + 1], b: clean.data[o + 2], a: 1 };
+                const ratio = ColorUtils.getContrastRatio(ColorUtils.blend(textColor, behind), behind);
+                if (!worst || ratio < worst.ratio) worst = { ratio, background: ColorUtils.toCss(behind) };
+            });
+            
+            return { glyphPixels: glyphPixels.length, worst, png: cleanPng };
         }
         
-        // ============================================
-        // TEST: Button Roles
-        // ============================================
-        try {
-            const buttons = await page.evaluate(() => {
-                const allButtons = document.querySelectorAll('button, [role="button"], a.btn, a[class*="button"]');
+        // A hermetic run swaps remote photos for a flat placeholder, which says nothing about the real photo
+        const fromFixture = src => config.network.mode === 'hermetic' &&
+            config.network.fixtures.some(fixture => fixture.match.test(src));
+        
+        for (const group of groups) {
+            results.startTest();
+            const name = `Text over image contrast: ${group.image}`;
+            if (fromFixture(group.src)) {
+                results.warn(name, 'Image served from a hermetic fixture, so nothing was measured - run with --network live',
+                    { image: group.image, src: group.src, boxes: group.boxes.length });
+                continue;
+            }
+            const boxes = [];
+            const failing = [];
+            
+            for (const state of ['resting', 'hover']) {
+                await page.$eval(`[data-gfv-hover="${group.index}"]`, el => el.scrollIntoView({ block: 'center', behavior: 'instant' }));
+                if (state === 'hover') {
+                    await page.hover(`[data-gfv-hover="${group.index}"]`);
+                } else {
+                    await page.mouse.move(0, 0);
+                }
+                await delay(50);
                 
-                return Array.from(allButtons).map(btn => ({
-                    tagName: btn.tagName,
-                    role: btn.getAttribute('role'),
-                    type: btn.type,
-                    text: btn.textContent?.trim().substring(0, 30),
-                    isLink: btn.tagName === 'A',
-                    href: btn.href,
-                    hasRole: btn.hasAttribute('role'),
-                    isCorrect: btn.tagName === 'BUTTON' || 
-                              (btn.tagName === 'A' && btn.hasAttribute('role') && btn.getAttribute('role') === 'button') ||
-                              (btn.tagName === 'A' && btn.href)
-                }));
-            });
+                for (const box of group.boxes) {
+                    const sample = await sampleBox(box);
+                    const required = ColorUtils.isLargeText(box.fontSize, box.fontWeight)
+                        ? config.accessibility.contrastRatioLarge
+                        : config.accessibility.contrastRatioMin;
+                    const entry = {
+                        state,
+                        element: box.element,
+                        text: box.text,
+                        required,
+                        worstRatio: sample.worst ? Number(sample.worst.ratio.toFixed(2)) : null,
+                        worstBackground: sample.worst ? sample.worst.background : null,
+                        glyphPixels: sample.glyphPixels
+                    };
+                    boxes.push(entry);
+                    if (!sample.worst || sample.worst.ratio < required) failing.push({ entry, png: sample.png });
+                }
+            }
             
-            const incorrectButtons = buttons.filter(b => !b.isCorrect);
+            const measured = boxes.filter(b => b.worstRatio !== null);
+            const details = {
+                image: group.image,
+                worstRatio: measured.length > 0 ? Math.min(...measured.map(b => b.worstRatio)) : null,
+                boxes
+            };
             
-            if (incorrectButtons.length > 0) {
-                results.warn('Button role issues',
-                    'Some interactive elements may need proper roles',
-                    { incorrectButtons }
-                );
+            if (failing.length > 0) {
+                const unmeasured = failing.filter(f => f.entry.worstRatio === null).length;
+                const low = failing.length - unmeasured;
+                results.warn(name, [
+                    low > 0 ? `${low} text box/state combination(s) below WCAG AA, worst ${details.worstRatio}:1` : null,
+                    unmeasured > 0 ? `${unmeasured} with no glyph pixels to sample` : null
+                ].filter(Boolean).join('; '), details);
+                failing.slice(0, 4).forEach(({ entry, png }) => results.attach({
+                    type: 'image',
+                    label: `${entry.state}: ${entry.text} (behind glyphs)`,
+                    contentType: 'image/png',
+                    data: png.toString('base64')
+                }));
             } else {
-                results.pass('Button roles correct', { count: buttons.length });
+                results.pass(name, details);
             }
-        } catch (e) {
-            results.fail('Button roles', e);
         }
         
-        // ============================================
-        // TEST: Reduced Motion Support
-        // ============================================
-        try {
-            const motionSupport = await page.evaluate(() => {
-                const styleSheets = Array.from(document.styleSheets);
-                let hasReducedMotion = false;
-                
-                styleSheets.forEach(sheet => {
-                    try {
-                        const rules = Array.from(sheet.cssRules || []);
-                        rules.forEach(rule => {
-                            if (rule instanceof CSSMediaRule && 
-                                rule.conditionText.includes('prefers-reduced-motion')) {
-                                hasReducedMotion = true;
-                            }
-                        });
-                    } catch (e) {
-                        // Cross-origin stylesheet
-                    }
-                });
+        if (groups.length === 0) {
+            results.skip('Text over image contrast', 'No text near images');
+        }
+    }, { timeout: 60000 });
+    
+    test('Focus indicators', async ({ page }) => {
+        const focusIndicators = await page.evaluate(() => {
+            const focusable = document.querySelectorAll('a, button, input, select, textarea, [tabindex]:not([tabindex="-1"])');
+            const issues = [];
+            
+            // This is a heuristic check - actual focus testing would need interaction
+            focusable.forEach(el => {
+                const styles = getComputedStyle(el);
                 
-                return { hasReducedMotion };
+                // Check for outline: none without other focus indication
+                if (styles.outline === 'none' || styles.outlineStyle === 'none') {
+                    // Could still have box-shadow or border change on focus
+                    issues.push({
+                        element: el.tagName,
+                        text: el.textContent?.substring(0, 20),
+                        hasOutline: false,
+                        note: 'May have other focus styles via :focus-visible'
+                    });
+                }
             });
             
-            if (motionSupport.hasReducedMotion) {
-                results.pass('Reduced motion support present');
-            } else {
-                results.warn('No prefers-reduced-motion support',
-                    'Consider adding @media (prefers-reduced-motion: reduce) for users who prefer less animation'
-                );
-            }
-        } catch (e) {
-            results.fail('Reduced motion check', e);
+            return {
+                totalFocusable: focusable.length,
+                potentialIssues: issues.slice(0, 5)
+            };
+        });
+        
+        return focusIndicators;
+    });
+    
+    test('ARIA landmarks', async ({ page, warn }) => {
+        const landmarks = await page.evaluate(() => {
+            return {
+                hasMain: !!document.querySelector('main, [role="main"]'),
+                hasNav: !!document.querySelector('nav, [role="navigation"]'),
+                hasHeader: !!document.querySelector('header, [role="banner"]'),
+                hasFooter: !!document.querySelector('footer, [role="contentinfo"]'),
+                hasRegion: !!document.querySelector('[role="region"]'),
+                mainCount: document.querySelectorAll('main, [role="main"]').length,
+                navCount: document.querySelectorAll('nav, [role="navigation"]').length
+            };
+        });
+        
+        const issues = [];
+        if (!landmarks.hasMain) issues.push('Missing main landmark');
+        if (!landmarks.hasNav) issues.push('Missing navigation landmark');
+        if (landmarks.mainCount > 1) issues.push(`Multiple main landmarks (${landmarks.mainCount})`);
+        
+        if (issues.length > 0) {
+            warn(issues.join('; '), landmarks);
+        } else {
+            return landmarks;
         }
+    });
+    
+    test('Button roles', async ({ page, warn }) => {
+        const buttons = await page.evaluate(() => {
+            const allButtons = document.querySelectorAll('button, [role="button"], a.btn, a[class*="button"]');
+            
+            return Array.from(allButtons).map(btn => ({
+                tagName: btn.tagName,
+                role: btn.getAttribute('role'),
+                type: btn.type,
+                text: btn.textContent?.trim().substring(0, 30),
+                isLink: btn.tagName === 'A',
+                href: btn.href,
+                hasRole: btn.hasAttribute('role'),
+                isCorrect: btn.tagName === 'BUTTON' || 
+                          (btn.tagName === 'A' && btn.hasAttribute('role') && btn.getAttribute('role') === 'button') ||
+                          (btn.tagName === 'A' && btn.href)
+            }));
+        });
         
-        // ============================================
-        // TEST: Tab Order
-        // ============================================
-        try {
-            const tabOrder = await page.evaluate(() => {
-                const focusable = document.querySelectorAll(
-                    'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
-                );
-                
-                const withPositiveTabIndex = Array.from(focusable).filter(el => el.tabIndex > 0);
-                const withNegativeTabIndex = Array.from(focusable).filter(el => el.tabIndex < 0);
-                
-                return {
-                    totalFocusable: focusable.length,
-                    positiveTabIndex: withPositiveTabIndex.length,
-                    negativeTabIndex: withNegativeTabIndex.length,
-                    positiveTabIndexElements: withPositiveTabIndex.map(el => ({
-                        tag: el.tagName,
-                        tabIndex: el.tabIndex,
-                        text: el.textContent?.substring(0, 20)
-                    }))
-                };
+        const incorrectButtons = buttons.filter(b => !b.isCorrect);
+        
+        if (incorrectButtons.length > 0) {
+            warn('Some interactive elements may need proper roles', { incorrectButtons });
+        } else {
+            return { count: buttons.length };
+        }
+    });
+    
+    test('Reduced motion check', async ({ page, warn }) => {
+        const motionSupport = await page.evaluate(() => {
+            const styleSheets = Array.from(document.styleSheets);
+            let hasReducedMotion = false;
+            
+            styleSheets.forEach(sheet => {
+                try {
+                    const rules = Array.from(sheet.cssRules || []);
+                    rules.forEach(rule => {
+                        if (rule instanceof CSSMediaRule && 
+                            rule.conditionText.includes('prefers-reduced-motion')) {
+                            hasReducedMotion = true;
+                        }
+                    });
+                } catch (e) {
+                    // Cross-origin stylesheet
+                }
             });
             
-            if (tabOrder.positiveTabIndex > 0) {
-                results.warn('Positive tabindex values found',
-                    'Using positive tabindex values can disrupt natural tab order',
-                    tabOrder
-                );
-            } else {
-                results.pass('Tab order uses natural DOM order', tabOrder);
-            }
-        } catch (e) {
-            results.fail('Tab order check', e);
+            return { hasReducedMotion };
+        });
+        
+        if (!motionSupport.hasReducedMotion) {
+            warn('Consider adding @media (prefers-reduced-motion: reduce) for users who prefer less animation');
         }
+    });
+    
+    test('Tab order check', async ({ page, warn }) => {
+        const tabOrder = await page.evaluate(() => {
+            const focusable = document.querySelectorAll(
+                'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+            );
+            
+            const withPositiveTabIndex = Array.from(focusable).filter(el => el.tabIndex > 0);
+            const withNegativeTabIndex = Array.from(focusable).filter(el => el.tabIndex < 0);
+            
+            return {
+                totalFocusable: focusable.length,
+                positiveTabIndex: withPositiveTabIndex.length,
+                negativeTabIndex: withNegativeTabIndex.length,
+                positiveTabIndexElements: withPositiveTabIndex.map(el => ({
+                    tag: el.tagName,
+                    tabIndex: el.tabIndex,
+                    text: el.textContent?.substring(0, 20)
+                }))
+            };
+        });
         
-        // ============================================
-        // TEST: Skip Link
-        // ============================================
-        try {
-            const skipLink = await page.evaluate(() => {
-                const skipSelectors = [
-                    '.skip-link',
-                    '.skip-to-content',
-                    'a[href="#main"]',
-                    'a[href="#content"]',
-                    'a[href="#main-content"]'
-                ];
+        if (tabOrder.positiveTabIndex > 0) {
+            warn('Using positive tabindex values can disrupt natural tab order', tabOrder);
+        } else {
+            return tabOrder;
+        }
+    });
+    
+    // WCAG 2.2 SC 2.4.11: the fixed nav must not hide whatever keyboard focus lands on
+    ['desktop', 'mobile'].forEach(viewportKey => {
+        test(`[${config.viewports[viewportKey].name}] Focus not obscured by fixed or sticky layers`, async ({ page, warn, fail }) => {
+            const { maxTabStops, samplesPerAxis } = config.accessibility.focusObscured;
+            await page.evaluate(() => {
+                window.scrollTo(0, 0);
+                document.activeElement?.blur();
+            });
+            
+            const stops = [];
+            for (let i = 0; i < maxTabStops; i++) {
+                await page.keyboard.press('Tab');
+                await BrowserUtils.waitForScrollIdle(page);
                 
-                for (const sel of skipSelectors) {
-                    const el = document.querySelector(sel);
-                    if (el) {
-                        return {
-                            found: true,
-                            href: el.getAttribute('href'),
-                            text: el.textContent.trim(),
-                            isVisuallyHidden: getComputedStyle(el).position === 'absolute' ||
-                                             el.classList.contains('sr-only') ||
-                                             el.classList.contains('visually-hidden')
-                        };
+                const stop = await page.evaluate(samples => {
+                    const el = document.activeElement;
+                    if (!el || el === document.body) return null;
+                    if (el.dataset.gfvTabStop) return { wrapped: true };
+                    el.dataset.gfvTabStop = 'true';
+                    
+                    const describe = `${el.tagName.toLowerCase()}${el.id ? '#' + el.id : ''} "${(el.textContent || el.getAttribute('aria-label') || el.name || '').replace(/\s+/g, ' ').trim().substring(0, 30)}"`;
+                    const rect = el.getBoundingClientRect();
+                    const left = Math.max(rect.left, 0);
+                    const right = Math.min(rect.right, window.innerWidth);
+                    const top = Math.max(rect.top, 0);
+                    const bottom = Math.min(rect.bottom, window.innerHeight);
+                    if (right - left < 1 || bottom - top < 1) {
+                        return { element: describe, offscreen: true };
                     }
-                }
-                return { found: false };
+                    
+                    // The fixed or sticky ancestor that a hit belongs to, unless it also holds the focused element
+                    const coveringLayer = hit => {
+                        for (let node = hit; node && node !== document.documentElement; node = node.parentElement) {
+                            const position = getComputedStyle(node).position;
+                            if (position === 'fixed' || position === 'sticky') {
+                                return node.contains(el) ? null : node;
+                            }
+                        }
+                        return null;
+                    };
+                    
+                    // Hit-test a grid across the visible part of the box; the topmost element at each point wins
+                    let covered = 0;
+                    const layers = new Set();
+                    for (let ix = 0; ix < samples; ix++) {
+                        for (let iy = 0; iy < samples; iy++) {
+                            const x = left + (right - left) * (ix + 0.5) / samples;
+                            const y = top + (bottom - top) * (iy + 0.5) / samples;
+                            const layer = coveringLayer(document.elementFromPoint(x, y));
+                            if (layer) {
+                                covered++;
+                                layers.add(`${layer.tagName.toLowerCase()}${layer.id ? '#' + layer.id : ''}${layer.className ? '.' + String(layer.className).trim().split(/\s+/).join('.') : ''}`);
+                            }
+                        }
+                    }
+                    
+                    return {
+                        element: describe,
+                        obscured: Number((covered / (samples * samples)).toFixed(2)),
+                        coveredBy: Array.from(layers)
+                    };
+                }, samplesPerAxis);
+                
+                if (!stop || stop.wrapped) break;
+                stops.push(stop);
+            }
+            
+            await page.evaluate(() => {
+                document.querySelectorAll('[data-gfv-tab-stop]').forEach(el => delete el.dataset.gfvTabStop);
             });
             
-            if (skipLink.found) {
-                results.pass('Skip link present', skipLink);
+            const hidden = stops.filter(s => s.obscured === 1);
+            const partly = stops.filter(s => s.obscured > 0 && s.obscured < 1);
+            const details = {
+                tabStops: stops.length,
+                fullyObscured: hidden,
+                partlyObscured: partly,
+                offscreen: stops.filter(s => s.offscreen).map(s => s.element)
+            };
+            
+            if (stops.length === 0) {
+                fail(new Error('Tab did not move focus to any element'), details);
+            } else if (hidden.length > 0) {
+                fail(new Error(`${hidden.length} focused element(s) fully hidden: ` +
+                    hidden.slice(0, 3).map(s => `${s.element} behind ${s.coveredBy.join(', ')}`).join('; ')), details);
+            } else if (partly.length > 0) {
+                warn(`${partly.length} focused element(s) partly hidden, worst ${Math.round(Math.max(...partly.map(s => s.obscured)) * 100)}% covered`, details);
             } else {
-                results.warn('No skip link found',
-                    'Consider adding a skip link for keyboard users to bypass navigation'
-                );
+                return details;
             }
-        } catch (e) {
-            results.fail('Skip link check', e);
+        }, { viewport: viewportKey, timeout: 60000 });
+    });
+    
+    // The slide-out menu must work by keyboard alone: open, trap focus, close with Escape
+    test('[Mobile] Menu toggle keyboard support', async ({ page }) => {
+        const toggle = await page.evaluate(() => {
+            const button = document.querySelector('.nav-toggle');
+            if (!button) return null;
+            const menu = document.getElementById(button.getAttribute('aria-controls'));
+            return {
+                tag: button.tagName,
+                name: button.getAttribute('aria-label') || button.textContent.trim(),
+                expanded: button.getAttribute('aria-expanded'),
+                controlsMenu: !!menu,
+                closedLinksHidden: !!menu && getComputedStyle(menu).visibility === 'hidden'
+            };
+        });
+        
+        Assertions.isTrue(!!toggle, 'Mobile viewport should have a .nav-toggle button');
+        Assertions.equals(toggle.tag, 'BUTTON', 'Toggle should be a native button');
+        Assertions.isTrue(toggle.name !== '', 'Toggle should have an accessible name');
+        Assertions.equals(toggle.expanded, 'false', 'Toggle should start with aria-expanded="false"');
+        Assertions.isTrue(toggle.controlsMenu, 'aria-controls should point at the menu');
+        Assertions.isTrue(toggle.closedLinksHidden, 'Closed menu links should be out of the tab order');
+        
+        await page.focus('.nav-toggle');
+        await page.keyboard.press('Enter');
+        await BrowserUtils.waitForStable(page);
+        
+        const opened = await page.evaluate(() => ({
+            expanded: document.querySelector('.nav-toggle').getAttribute('aria-expanded'),
+            focusInMenu: !!document.activeElement.closest('#nav-menu')
+        }));
+        Assertions.equals(opened.expanded, 'true', 'Enter should open the menu');
+        Assertions.isTrue(opened.focusInMenu, 'Opening should move focus into the menu');
+        
+        // Tab past the end (links, the CTA beside the toggle and the toggle) and back; focus never leaves the nav
+        const stops = await page.$$eval('#nav-menu a', links => links.length + 2);
+        const escaped = [];
+        for (let i = 0; i < stops + 1; i++) {
+            await page.keyboard.press('Tab');
+            const inside = await page.evaluate(() => !!document.activeElement.closest('#nav-menu, .nav-cta, .nav-toggle'));
+            if (!inside) escaped.push(await page.evaluate(() => document.activeElement.outerHTML.substring(0, 60)));
+        }
+        await page.keyboard.down('Shift');
+        for (let i = 0; i < stops + 1; i++) {
+            await page.keyboard.press('Tab');
+            const inside = await page.evaluate(() => !!document.activeElement.closest('#nav-menu, .nav-cta, .nav-toggle'));
+            if (!inside) escaped.push(await page.evaluate(() => document.activeElement.outerHTML.substring(0, 60)));
         }
+        await page.keyboard.up('Shift');
+        Assertions.equals(escaped.length, 0, `Focus left the open menu: ${escaped.join(', ')}`);
         
-        // ============================================
-        // TEST: Focus Trap Prevention
-        // ============================================
-        try {
-            // Check for elements that might trap focus (modals without escape)
-            const focusTraps = await page.evaluate(() => {
-                const modals = document.querySelectorAll('[role="dialog"], .modal, [aria-modal="true"]');
-                
-                return Array.from(modals).map(modal => ({
-                    hasCloseButton: !!modal.querySelector('[aria-label*="close"], .close, button'),
-                    hasEscapeHandler: modal.hasAttribute('data-keyboard') || true, // Can't detect JS handlers
-                    isHidden: getComputedStyle(modal).display === 'none' || 
-                             modal.getAttribute('aria-hidden') === 'true'
-                }));
-            });
+        await page.keyboard.press('Escape');
+        const closed = await page.evaluate(() => ({
+            expanded: document.querySelector('.nav-toggle').getAttribute('aria-expanded'),
+            focusOnToggle: document.activeElement === document.querySelector('.nav-toggle')
+        }));
+        Assertions.equals(closed.expanded, 'false', 'Escape should close the menu');
+        Assertions.isTrue(closed.focusOnToggle, 'Closing with Escape should return focus to the toggle');
+        
+        return { toggle, trappedStops: stops, closed };
+    }, { viewport: 'mobile' });
+    
+    test('Skip link check', async ({ page, warn }) => {
+        const skipLink = await page.evaluate(() => {
+            const skipSelectors = [
+                '.skip-link',
+                '.skip-to-content',
+                'a[href="#main"]',
+                'a[href="#content"]',
+                'a[href="#main-content"]'
+            ];
             
-            if (focusTraps.length > 0) {
-                results.pass('Modal accessibility checked', { modalCount: focusTraps.length, modals: focusTraps });
-            } else {
-                results.pass('No modals detected (no focus trap risk)');
+            for (const sel of skipSelectors) {
+                const el = document.querySelector(sel);
+                if (el) {
+                    return {
+                        found: true,
+                        href: el.getAttribute('href'),
+                        text: el.textContent.trim(),
+                        isVisuallyHidden: getComputedStyle(el).position === 'absolute' ||
+                                         el.classList.contains('sr-only') ||
+                                         el.classList.contains('visually-hidden')
+                    };
+                }
             }
-        } catch (e) {
-            results.fail('Focus trap check', e);
+            return { found: false };
+        });
+        
+        if (skipLink.found) {
+            return skipLink;
+        } else {
+            warn('Consider adding a skip link for keyboard users to bypass navigation');
         }
+    });
+    
+    test('Focus trap check', async ({ page }) => {
+        // Check for elements that might trap focus (modals without escape)
+        const focusTraps = await page.evaluate(() => {
+            const modals = document.querySelectorAll('[role="dialog"], .modal, [aria-modal="true"]');
+            
+            return Array.from(modals).map(modal => ({
+                hasCloseButton: !!modal.querySelector('[aria-label*="close"], .close, button'),
+                hasEscapeHandler: modal.hasAttribute('data-keyboard') || true, // Can't detect JS handlers
+                isHidden: getComputedStyle(modal).display === 'none' || 
+                         modal.getAttribute('aria-hidden') === 'true'
+            }));
+        });
         
-    } catch (e) {
-        results.fail('Accessibility test suite setup', e);
-    } finally {
-        if (browser) await browser.close();
+        // No modals means no focus trap risk
+        if (focusTraps.length > 0) {
+            return { modalCount: focusTraps.length, modals: focusTraps };
+        }
+    });
+    
+    // The rule engine runs once on a shared, untouched page; each registered rule reports as its own test
+    const ruleReports = new WeakMap();
+    function rulesFor(page) {
+        if (!ruleReports.has(page)) ruleReports.set(page, runA11yRules(page));
+        return ruleReports.get(page);
     }
     
-    return results.getSummary();
-}
+    Object.entries(A11yRules).forEach(([id, rule]) => {
+        test(`Rule ${id}: ${rule.description}`, async ({ page, warn, fail }) => {
+            const report = (await rulesFor(page)).find(r => r.id === id);
+            const details = {
+                severity: report.severity,
+                wcag: report.wcag,
+                passed: report.passed,
+                violations: report.violations
+            };
+            
+            if (report.violations.length === 0) {
+                return details;
+            }
+            
+            const summary = `${report.violations.length} violation(s) (WCAG ${report.wcag}, ${report.severity}): ` +
+                report.violations.slice(0, 3).map(v => `${v.target} - ${v.message}`).join('; ');
+            if (BLOCKING_SEVERITIES.includes(report.severity)) {
+                fail(new Error(summary), details);
+            } else {
+                warn(summary, details);
+            }
+        }, { share: 'rules' });
+    });
+});
 
 module.exports = { runAccessibilityTests };
 
@@ -0,0 +1,180 @@
+/**
+ * GFV LLC - Run Baselines
+ * Saves each test run and compares runs to find regressions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./test-config');
+
+function passRate(passed, total, skipped) {
+    const executed = total - skipped;
+    return executed > 0 ? Number(((passed / executed) * 100).toFixed(1)) : 0;
+}
+
+// Key tests by target, suite and name; repeated names within a suite get an occurrence index
+function indexTests(suites) {
+    const index = new Map();
+    
+    suites.forEach(result => {
+        const seen = {};
+        result.tests.forEach(test => {
+            const base = `${result.target || ''}::${result.suite}::${test.name}`;
+            seen[base] = (seen[base] || 0) + 1;
+            const key = seen[base] > 1 ? `${base}#${seen[base]}` : base;
+            index.set(key, {
+                target: result.target || null,
+                suite: result.suite,
+                test: test.name,
+                status: test.status,
+                error: test.error,
+                warning: test.warning
+            });
+        });
+    });
+    
+    return index;
+}
+
+/**
+ * Strip a run down to what a later comparison needs (no details or screenshots)
+ */
+function toBaseline(allResults, summary) {
+    return {
+        createdAt: new Date().toISOString(),
+        summary: {
+            ...summary,
+            passRate: passRate(summary.totalPassed, summary.totalTests, summary.totalSkipped)
+        },
+        suites: allResults.map(result => ({
+            suite: result.suite,
+            target: result.target || null,
+            total: result.total,
+            passed: result.passed,
+            failed: result.failed,
+            warnings: result.warnings,
+            skipped: result.skipped,
+            tests: result.tests.map(test => ({
+                name: test.name,
+                status: test.status,
+                ...(test.error ? { error: test.error } : {}),
+                ...(test.warning ? { warning: test.warning } : {})
+            }))
+        }))
+    };
+}
+
+/**
+ * Write the run to a timestamped file, and to latest.json when `latest` is set -
+ * "latest" only moves when a run is deliberately kept as the reference.
+ * Returns the timestamped path.
+ */
+function saveBaseline(allResults, summary, { latest = false, dir = config.reports.baselines } = {}) {
+    const baseline = toBaseline(allResults, summary);
+    const fileName = `run-${baseline.createdAt.replace(/[:.]/g, '-')}.json`;
+    const content = JSON.stringify(baseline, null, 2) + '\n';
+    
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, fileName), content);
+    if (latest) fs.writeFileSync(path.join(dir, 'latest.json'), content);
+    
+    return path.join(dir, fileName);
+}
+
+/**
+ * Load a baseline by path, or "latest" for the last run saved with --save-baseline
+ */
+function loadBaseline(file, dir = config.reports.baselines) {
+    const baselinePath = file === 'latest' ? path.join(dir, 'latest.json') : path.resolve(file);
+    
+    if (!fs.existsSync(baselinePath)) {
+        throw new Error(`Baseline not found: ${baselinePath}` +
+            (file === 'latest' ? ' (keep a run as the latest baseline with --save-baseline)' : ''));
+    }
+    
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    if (!Array.isArray(baseline.suites)) {
+        throw new Error(`Not a test run baseline: ${baselinePath}`);
+    }
+    
+    return { ...baseline, path: baselinePath };
+}
+
+/**
+ * Compare a saved baseline with the current run. Regressions are tests that
+ * fail now but did not fail in the baseline - failures already present in the
+ * baseline are known and do not count.
+ */
+function compareRuns(baseline, allResults, summary) {
+    const current = toBaseline(allResults, summary);
+    const before = indexTests(baseline.suites);
+    const after = indexTests(current.suites);
+    
+    const newlyFailing = [];
+    const newlyPassing = [];
+    const newWarnings = [];
+    const resolvedWarnings = [];
+    
+    after.forEach((test, key) => {
+        const previous = before.get(key);
+        const previousStatus = previous ? previous.status : null;
+        
+        if (test.status === 'FAIL' && previousStatus !== 'FAIL') {
+            newlyFailing.push({ ...test, previousStatus, isNewTest: !previous });
+        } else if (test.status === 'PASS' && previous && previousStatus !== 'PASS') {
+            newlyPassing.push({ ...test, previousStatus });
+        } else if (test.status === 'WARN' && previousStatus !== 'WARN') {
+            newWarnings.push({ ...test, previousStatus, isNewTest: !previous });
+        }
+    });
+    
+    before.forEach((test, key) => {
+        const now = after.get(key);
+        if (test.status === 'WARN' && now && now.status === 'PASS') {
+            resolvedWarnings.push({ ...now, previousStatus: 'WARN' });
+        }
+    });
+    
+    const removedTests = Array.from(before.keys()).filter(key => !after.has(key));
+    
+    const suiteRates = current.suites.map(result => {
+        const previous = baseline.suites.find(s => s.suite === result.suite && (s.target || null) === result.target);
+        const rateAfter = passRate(result.passed, result.total, result.skipped);
+        const rateBefore = previous ? passRate(previous.passed, previous.total, previous.skipped) : null;
+        return {
+            suite: result.suite,
+            target: result.target,
+            before: rateBefore,
+            after: rateAfter,
+            delta: rateBefore === null ? null : Number((rateAfter - rateBefore).toFixed(1))
+        };
+    });
+    
+    const overallBefore = baseline.summary
+        ? passRate(baseline.summary.totalPassed, baseline.summary.totalTests, baseline.summary.totalSkipped)
+        : null;
+    const overallAfter = current.summary.passRate;
+    
+    return {
+        baseline: { path: baseline.path, createdAt: baseline.createdAt },
+        newlyFailing,
+        newlyPassing,
+        newWarnings,
+        resolvedWarnings,
+        removedTests,
+        passRate: {
+            before: overallBefore,
+            after: overallAfter,
+            delta: overallBefore === null ? null : Number((overallAfter - overallBefore).toFixed(1))
+        },
+        suites: suiteRates,
+        hasRegressions: newlyFailing.length > 0
+    };
+}
+
+module.exports = {
+    toBaseline,
+    saveBaseline,
+    loadBaseline,
+    compareRuns
+};
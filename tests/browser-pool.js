@@ -0,0 +1,78 @@
+/**
+ * GFV LLC - Browser Pool
+ * One shared Chromium handing out isolated browser contexts to suites running side by side
+ */
+
+/**
+ * `launch` starts the browser (e.g. () => BrowserUtils.launchBrowser()).
+ * At most `size` contexts are open at once; further callers wait their turn.
+ */
+class BrowserPool {
+    constructor(size, launch) {
+        this.size = Math.max(1, size || 1);
+        this.launch = launch;
+        this.active = 0;
+        this.waiting = [];
+        this.launching = null;
+        this.launchDuration = 0;
+    }
+    
+    // Launched on first use, so a run that needs no browser never starts one
+    browser() {
+        if (!this.launching) {
+            const launchStart = Date.now();
+            this.launching = this.launch().then(browser => {
+                this.launchDuration = Date.now() - launchStart;
+                return browser;
+            });
+        }
+        return this.launching;
+    }
+    
+    async acquireSlot() {
+        if (this.active < this.size) {
+            this.active++;
+            return;
+        }
+        // The releasing caller hands its slot straight over
+        await new Promise(resolve => this.waiting.push(resolve));
+    }
+    
+    releaseSlot() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+    
+    /**
+     * Run `work(context)` in a fresh browser context once one of the `size`
+     * slots is free. The context is closed afterwards, whatever the outcome.
+     */
+    async use(work) {
+        await this.acquireSlot();
+        let context = null;
+        
+        try {
+            const browser = await this.browser();
+            context = await browser.createBrowserContext();
+            return await work(context);
+        } finally {
+            if (context) await context.close().catch(() => {});
+            this.releaseSlot();
+        }
+    }
+    
+    async close() {
+        if (!this.launching) return;
+        const browser = await this.launching.catch(() => null);
+        this.launching = null;
+        if (browser) await browser.close();
+    }
+}
+
+module.exports = {
+    BrowserPool
+};
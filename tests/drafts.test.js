@@ -0,0 +1,126 @@
+/**
+ * GFV LLC - Form Draft Tests
+ * Typed inquiries are kept in localStorage, offered back on return and never hold anything but form fields
+ */
+
+const { suite, Assertions, config } = require('./test-utils');
+const InquirySchema = require('../assets/inquiry-schema');
+const { KEY_PREFIX, DEFAULT_EXPIRY } = require('../assets/form-drafts');
+
+const DESCRIPTION = 'We need a telemetry dashboard with weekly exports for the board.';
+
+// Each form keeps its own draft; the homepage description sits on a later wizard step
+const draftForms = [
+    { label: 'Homepage', form: '.contact-form', key: `${KEY_PREFIX}contact`, step: '#contact/description', options: {} },
+    { label: 'Inquiry', form: '#inquiry-form', key: `${KEY_PREFIX}inquiry`, step: null, options: { url: config.targets.contactForm } }
+];
+
+async function storedDraft(page, key) {
+    return page.evaluate(storageKey => JSON.parse(localStorage.getItem(storageKey)), key);
+}
+
+async function seedDraft(page, key, draft) {
+    await page.evaluate((storageKey, value) => localStorage.setItem(storageKey, JSON.stringify(value)), key, draft);
+    await page.reload({ waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+}
+
+async function promptState(page, formSelector) {
+    return page.evaluate(selector => {
+        const prompt = document.querySelector(selector).querySelector('.draft-prompt');
+        return prompt ? prompt.textContent.replace(/\s+/g, ' ').trim() : null;
+    }, formSelector);
+}
+
+const runDraftTests = suite('Form Drafts', ({ test, beforeEach }) => {
+    // Drafts live in localStorage, which tests in the same browser context share
+    beforeEach(async ({ page, url }) => {
+        await page.goto(url, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+        await page.evaluate(() => localStorage.clear());
+        await page.reload({ waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+    });
+    
+    draftForms.forEach(({ label, form, key, step, options }) => {
+        test(`[${label}] Typing saves a draft of the form fields only`, async ({ page }) => {
+            if (step) {
+                await page.evaluate(hash => {
+                    location.hash = hash;
+                }, step);
+            }
+            await page.type(`${form} [name="description"]`, DESCRIPTION);
+            await page.waitForFunction(storageKey => localStorage.getItem(storageKey) !== null, { timeout: 3000 }, key);
+            
+            const draft = await storedDraft(page, key);
+            const allowed = InquirySchema.fields.map(field => field.name);
+            const stray = Object.keys(draft.values).filter(name => !allowed.includes(name));
+            const otherKeys = await page.evaluate(storageKey => Object.keys(localStorage).filter(k => k !== storageKey), key);
+            
+            Assertions.equals(draft.values.description, DESCRIPTION, 'The description should be saved as typed');
+            Assertions.isTrue(typeof draft.savedAt === 'number', 'The draft should record when it was saved');
+            Assertions.equals(stray.length, 0, `Only inquiry fields may be saved, also found: ${stray.join(', ')}`);
+            Assertions.equals(otherKeys.length, 0, `Nothing else should be stored, found: ${otherKeys.join(', ')}`);
+            
+            return { saved: Object.keys(draft.values) };
+        }, options);
+        
+        test(`[${label}] Returning offers the draft and Restore fills it in`, async ({ page }) => {
+            await seedDraft(page, key, {
+                savedAt: Date.now() - 5 * 60 * 1000,
+                values: { name: 'Ada Lovelace', description: DESCRIPTION }
+            });
+            
+            const prompt = await promptState(page, form);
+            Assertions.isTrue(!!prompt && prompt.includes('Restore your draft?'), `Expected a restore prompt, got "${prompt}"`);
+            Assertions.isTrue(prompt.includes('5 minutes ago'), `The prompt should say when the draft was saved: "${prompt}"`);
+            
+            await page.click(`${form} .draft-restore`);
+            const restored = await page.evaluate(selector => {
+                const el = document.querySelector(selector);
+                return {
+                    name: el.elements.name.value,
+                    description: el.elements.description.value,
+                    focusInForm: el.contains(document.activeElement) && !!document.activeElement.name
+                };
+            }, form);
+            
+            Assertions.equals(restored.name, 'Ada Lovelace', 'Name should be restored');
+            Assertions.equals(restored.description, DESCRIPTION, 'Description should be restored');
+            Assertions.equals(await promptState(page, form), null, 'The prompt should close');
+            Assertions.isTrue(restored.focusInForm, 'Focus should move to a form field, not get lost');
+            
+            return restored;
+        }, options);
+    });
+    
+    test('[Homepage] Discard leaves the form empty and drops the draft', async ({ page }) => {
+        const { key } = draftForms[0];
+        await seedDraft(page, key, { savedAt: Date.now(), values: { name: 'Ada Lovelace' } });
+        
+        await page.click('.contact-form .draft-discard');
+        const name = await page.$eval('.contact-form [name="name"]', el => el.value);
+        
+        Assertions.equals(name, '', 'Discarding should not fill anything in');
+        Assertions.equals(await storedDraft(page, key), null, 'The draft should be removed');
+        Assertions.equals(await promptState(page, '.contact-form'), null, 'The prompt should close');
+        
+        return { discarded: true };
+    });
+    
+    test('[Homepage] Expired drafts are dropped without asking', async ({ page }) => {
+        const { key } = draftForms[0];
+        await seedDraft(page, key, { savedAt: Date.now() - DEFAULT_EXPIRY - 60 * 1000, values: { name: 'Ada Lovelace' } });
+        
+        Assertions.equals(await promptState(page, '.contact-form'), null, 'An expired draft should not be offered');
+        Assertions.equals(await storedDraft(page, key), null, 'An expired draft should be removed');
+        
+        return { expiryDays: DEFAULT_EXPIRY / (24 * 60 * 60 * 1000) };
+    });
+});
+
+module.exports = { runDraftTests };
+
+if (require.main === module) {
+    runDraftTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
@@ -0,0 +1,168 @@
+/**
+ * GFV LLC - Copy Drift Detection
+ * index.html, main.html and temp_review.html must match apart from the cache-bust comment
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { suite, DiffUtils, config } = require('./test-utils');
+const InquiryFields = require('./inquiry-fields');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+/**
+ * Parse a page's source (without running its scripts) into three normalized
+ * line lists: DOM outline, inline CSS declarations and inline script code.
+ */
+function extractComparable(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    
+    // DOM outline: one line per element/text node, attributes sorted, comments dropped
+    const domLines = [];
+    const walk = (node, depth) => {
+        const indent = '  '.repeat(depth);
+        
+        if (node.nodeType === Node.TEXT_NODE) {
+            const text = node.textContent.replace(/\s+/g, ' ').trim();
+            if (text) domLines.push(`${indent}"${text}"`);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        
+        const tag = node.tagName.toLowerCase();
+        const attrs = Array.from(node.attributes)
+            .map(attr => `${attr.name}="${attr.value}"`)
+            .sort()
+            .join(' ');
+        domLines.push(`${indent}<${tag}${attrs ? ' ' + attrs : ''}>`);
+        
+        // Inline CSS and JS are compared separately
+        if (tag === 'style' || tag === 'script') return;
+        Array.from(node.childNodes).forEach(child => walk(child, depth + 1));
+    };
+    walk(doc.documentElement, 0);
+    
+    // Inline CSS: one line per declaration, qualified by selector and at-rule
+    const cssLines = [];
+    const walkRules = (rules, prefix) => {
+        Array.from(rules).forEach(rule => {
+            if (rule.style && rule.selectorText !== undefined) {
+                Array.from(rule.style).forEach(prop => {
+                    const priority = rule.style.getPropertyPriority(prop);
+                    cssLines.push(`${prefix}${rule.selectorText} { ${prop}: ${rule.style.getPropertyValue(prop)}${priority ? ' !' + priority : ''} }`);
+                });
+            } else if (rule.cssRules) {
+                const condition = rule.conditionText || rule.media?.mediaText || '';
+                walkRules(rule.cssRules, `${prefix}@${rule.constructor.name.replace(/^CSS|Rule$/g, '').toLowerCase()} ${condition} > `);
+            } else {
+                cssLines.push(prefix + rule.cssText);
+            }
+        });
+    };
+    doc.querySelectorAll('style').forEach(style => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(style.textContent);
+        walkRules(sheet.cssRules, '');
+    });
+    
+    // Inline scripts: strip comment lines and indentation, drop blank lines
+    const scriptLines = [];
+    doc.querySelectorAll('script:not([src])').forEach(script => {
+        script.textContent
+            .replace(/\/\*[\s\S]*?\*\//g, '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('//'))
+            .forEach(line => scriptLines.push(line));
+    });
+    
+    return { dom: domLines, css: cssLines, scripts: scriptLines };
+}
+
+const runDriftTests = suite('Copy Drift Detection', ({ test }) => {
+    // The first site page is the deployed one; every other copy is compared against it
+    const [canonical, ...copies] = config.sitePages;
+    
+    const levels = [
+        { key: 'dom', label: 'DOM structure' },
+        { key: 'css', label: 'Inline CSS' },
+        { key: 'scripts', label: 'Inline scripts' }
+    ];
+    
+    // Sources are parsed once, by whichever test needs them first
+    let parsed = null;
+    async function parseSitePages(page) {
+        if (!parsed) {
+            parsed = {};
+            for (const sitePage of config.sitePages) {
+                const source = fs.readFileSync(path.join(repoRoot, sitePage.file), 'utf8');
+                parsed[sitePage.name] = await page.evaluate(extractComparable, source);
+            }
+        }
+        return parsed;
+    }
+    
+    copies.forEach(copy => {
+        levels.forEach(level => {
+            test(`[${copy.file}] ${level.label} matches ${canonical.file}`, async ({ page, fail }) => {
+                const pages = await parseSitePages(page);
+                const comparison = DiffUtils.unified(pages[canonical.name][level.key], pages[copy.name][level.key], {
+                    fromLabel: `${canonical.file} (${level.label})`,
+                    toLabel: `${copy.file} (${level.label})`
+                });
+                
+                if (comparison.identical) {
+                    return { lines: pages[copy.name][level.key].length };
+                }
+                
+                fail(new Error(`${copy.file} differs from ${canonical.file}: ${comparison.removed} line(s) removed, ${comparison.added} added`),
+                    { added: comparison.added, removed: comparison.removed, diff: comparison.diff }
+                );
+            });
+        });
+    });
+    
+    test('Raw sources identical apart from cache-bust comment', async ({ warn }) => {
+        const stripCacheBust = source => source.replace(/<!--\s*Cache bust:[^>]*-->\s*\n?/i, '').replace(/\r\n/g, '\n');
+        const canonicalSource = stripCacheBust(fs.readFileSync(path.join(repoRoot, canonical.file), 'utf8'));
+        
+        const drifted = copies.filter(copy => {
+            const source = stripCacheBust(fs.readFileSync(path.join(repoRoot, copy.file), 'utf8'));
+            return source !== canonicalSource;
+        });
+        
+        if (drifted.length > 0) {
+            warn(`${drifted.map(c => c.file).join(', ')} differ from ${canonical.file} (formatting or comments if the checks above pass)`,
+                { drifted: drifted.map(c => c.file) }
+            );
+        } else {
+            return { compared: config.sitePages.map(p => p.file) };
+        }
+    });
+    
+    // The inquiry fields are generated from assets/inquiry-schema.js; a hand edit or a schema change without a regenerate fails here
+    test('Inquiry form fields match the schema they are generated from', async ({ fail }) => {
+        const outdated = InquiryFields.stale();
+        
+        if (outdated.length === 0) {
+            return { pages: InquiryFields.targets.map(target => target.file) };
+        }
+        
+        const diffs = outdated.map(page => DiffUtils.unified(page.expected, page.current, {
+            fromLabel: `${page.file} (generated)`,
+            toLabel: page.file
+        }).diff);
+        fail(new Error(`${outdated.map(page => page.file).join(', ')} out of date with the inquiry schema - run node tests/inquiry-fields.js`),
+            { outdated: outdated.map(page => page.file), diff: diffs.join('\n') }
+        );
+    });
+}, { url: null });
+
+module.exports = { runDriftTests, extractComparable };
+
+if (require.main === module) {
+    runDriftTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
@@ -3,554 +3,626 @@
  * Tests for form validation, submission, state changes, and user feedback
  */
 
-const { TestResults, BrowserUtils, ElementUtils, Assertions, config, delay } = require('./test-utils');
+const { suite, ElementUtils, Assertions, config, delay } = require('./test-utils');
+const InquirySchema = require('../assets/inquiry-schema');
 
-async function runFormTests() {
-    const results = new TestResults('Form Interactions');
-    let browser;
+// Validation state of a form as assistive technology sees it: invalid fields with their
+// described-by text, the focused field, the error summary and the live region
+async function validationState(page, formSelector) {
+    return page.evaluate(selector => {
+        const form = document.querySelector(selector);
+        const summary = form.querySelector('.error-summary');
+        const liveRegion = form.querySelector('[aria-live="polite"]');
+        
+        return {
+            required: Array.from(form.querySelectorAll('[required]')).map(field => field.name),
+            invalid: Array.from(form.querySelectorAll('[aria-invalid="true"]')).map(field => ({
+                name: field.name,
+                descriptions: (field.getAttribute('aria-describedby') || '')
+                    .split(/\s+/)
+                    .map(id => document.getElementById(id))
+                    .filter(el => el && !el.hidden && el.textContent.trim() !== '')
+                    .map(el => el.textContent.trim())
+            })),
+            focused: document.activeElement ? document.activeElement.name || null : null,
+            summaryShown: !!summary && !summary.hidden,
+            summaryItems: summary ? summary.querySelectorAll('li').length : 0,
+            announcement: liveRegion ? liveRegion.textContent : null,
+            formVisible: getComputedStyle(form).display !== 'none' && !form.hidden
+        };
+    }, formSelector);
+}
+
+async function waitForAnnouncement(page, formSelector) {
+    await page.waitForFunction(selector => {
+        const liveRegion = document.querySelector(selector).querySelector('[aria-live="polite"]');
+        return liveRegion && liveRegion.textContent.trim() !== '';
+    }, { timeout: 2000 }, formSelector);
+}
+
+// Controls of a form as the browser would submit them: name, kind, constraints and option values
+async function formControls(page, formSelector) {
+    return page.evaluate(selector => Array.from(document.querySelector(selector).elements)
+        .filter(el => el.name && el.type !== 'hidden' && el.type !== 'submit' && el.tagName !== 'BUTTON')
+        .map(el => ({
+            name: el.name,
+            type: el.tagName === 'INPUT' ? el.type : el.tagName.toLowerCase(),
+            required: el.required,
+            maxLength: el.maxLength > 0 ? el.maxLength : null,
+            options: el.tagName === 'SELECT'
+                ? Array.from(el.options).filter(option => option.value !== '').map(option => option.value)
+                : null
+        })), formSelector);
+}
+
+// Every way a form's controls differ from the inquiry schema, as readable strings
+function schemaMismatches(controls) {
+    const mismatches = [];
+    const byName = Object.fromEntries(controls.map(control => [control.name, control]));
     
-    try {
-        browser = await BrowserUtils.launchBrowser();
-        const page = await BrowserUtils.createPage(browser);
+    InquirySchema.fields.forEach(field => {
+        const control = byName[field.name];
+        if (!control) {
+            mismatches.push(`${field.name}: missing`);
+            return;
+        }
+        if (control.type !== field.type) mismatches.push(`${field.name}: ${control.type} instead of ${field.type}`);
+        if (control.required !== field.required) mismatches.push(`${field.name}: required is ${control.required}`);
+        if (field.maxLength && control.maxLength !== field.maxLength) {
+            mismatches.push(`${field.name}: maxlength ${control.maxLength} instead of ${field.maxLength}`);
+        }
+        if (field.options) {
+            const expected = field.options.map(option => option.value).join(', ');
+            const actual = (control.options || []).join(', ');
+            if (actual !== expected) mismatches.push(`${field.name}: options [${actual}] instead of [${expected}]`);
+        }
+    });
+    controls
+        .filter(control => !InquirySchema.field(control.name))
+        .forEach(control => mismatches.push(`${control.name}: not in the schema`));
+    
+    return mismatches;
+}
+
+// The homepage form opens on the first wizard step, and fields on later steps are hidden
+// until reached; all-fields mode shows them so they can take focus and typing
+async function showAllFields(page) {
+    const toggle = await page.$('.contact-form.is-wizard .wizard-mode-toggle');
+    if (toggle) await toggle.click();
+}
+
+const runFormTests = suite('Form Interactions', ({ test, beforeEach }) => {
+    const contactFormPage = { url: config.targets.contactForm };
+    
+    // Homepage tests work in the contact section; scroll there unless a previous test left it in view
+    beforeEach(async ({ page, url, target }) => {
+        if (url !== target) return;
+        
+        const needsScroll = await page.evaluate(() => {
+            const contact = document.querySelector('#contact');
+            if (!contact || Math.abs(contact.getBoundingClientRect().top) <= 1) return false;
+            contact.scrollIntoView();
+            return true;
+        });
+        if (needsScroll) await delay(500);
+    });
+    
+    test('Form elements check', async ({ page }) => {
+        const formElements = await page.evaluate(() => {
+            const form = document.querySelector('#contact form, .contact-form');
+            if (!form) return null;
+            
+            return {
+                formExists: true,
+                action: form.action,
+                method: form.method,
+                inputs: Array.from(form.querySelectorAll('input, textarea, select')).map(el => ({
+                    type: el.type || el.tagName.toLowerCase(),
+                    name: el.name,
+                    id: el.id,
+                    required: el.required,
+                    placeholder: el.placeholder,
+                    maxLength: el.maxLength > 0 ? el.maxLength : null,
+                    pattern: el.pattern || null,
+                    hasLabel: !!document.querySelector(`label[for="${el.id}"]`)
+                })),
+                submitButton: !!form.querySelector('button[type="submit"], input[type="submit"], .form-submit')
+            };
+        });
         
-        // ============================================
-        // MAIN SITE CONTACT FORM TESTS
-        // ============================================
-        await page.goto(config.targets.mainSite, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+        Assertions.isTrue(formElements !== null, 'Contact form not found');
+        Assertions.isTrue(formElements.formExists, 'Form element missing');
+        Assertions.isTrue(formElements.submitButton, 'Submit button missing');
+        Assertions.greaterThan(formElements.inputs.length, 0, 'Form has no inputs');
         
-        // Scroll to contact section
+        return formElements;
+    });
+    
+    test('Required field validation', async ({ page }) => {
+        // Try to submit empty form
         await page.evaluate(() => {
-            const contact = document.querySelector('#contact');
-            if (contact) contact.scrollIntoView();
+            const form = document.querySelector('#contact form, .contact-form');
+            if (form) {
+                form.reportValidity();
+            }
         });
-        await delay(500);
-        
-        // ============================================
-        // TEST: Form Elements Present
-        // ============================================
-        try {
-            const formElements = await page.evaluate(() => {
-                const form = document.querySelector('#contact form, .contact-form');
-                if (!form) return null;
-                
+        
+        // Check for validation messages
+        const validationState = await page.evaluate(() => {
+            const form = document.querySelector('#contact form, .contact-form');
+            if (!form) return null;
+            
+            const invalidInputs = Array.from(form.querySelectorAll('input, textarea, select'))
+                .filter(el => el.required && !el.validity.valid);
+            
+            return {
+                hasInvalidInputs: invalidInputs.length > 0,
+                invalidCount: invalidInputs.length,
+                invalidFields: invalidInputs.map(el => ({
+                    name: el.name,
+                    validationMessage: el.validationMessage
+                }))
+            };
+        });
+        
+        Assertions.isTrue(validationState.hasInvalidInputs, 'Form should have invalid required fields when empty');
+        
+        return validationState;
+    });
+    
+    test('Email validation', async ({ page, skip }) => {
+        const emailInput = await page.$('#contact form input[type="email"], .contact-form input[type="email"]');
+        
+        if (emailInput) {
+            // Test invalid email
+            await emailInput.type('not-an-email');
+            
+            const invalidState = await page.evaluate(() => {
+                const input = document.querySelector('#contact form input[type="email"], .contact-form input[type="email"]');
                 return {
-                    formExists: true,
-                    action: form.action,
-                    method: form.method,
-                    inputs: Array.from(form.querySelectorAll('input, textarea, select')).map(el => ({
-                        type: el.type || el.tagName.toLowerCase(),
-                        name: el.name,
-                        id: el.id,
-                        required: el.required,
-                        placeholder: el.placeholder,
-                        maxLength: el.maxLength > 0 ? el.maxLength : null,
-                        pattern: el.pattern || null,
-                        hasLabel: !!document.querySelector(`label[for="${el.id}"]`)
-                    })),
-                    submitButton: !!form.querySelector('button[type="submit"], input[type="submit"], .form-submit')
+                    value: input.value,
+                    valid: input.validity.valid,
+                    typeMismatch: input.validity.typeMismatch,
+                    message: input.validationMessage
                 };
             });
             
-            Assertions.isTrue(formElements !== null, 'Contact form not found');
-            Assertions.isTrue(formElements.formExists, 'Form element missing');
-            Assertions.isTrue(formElements.submitButton, 'Submit button missing');
-            Assertions.greaterThan(formElements.inputs.length, 0, 'Form has no inputs');
+            Assertions.isFalse(invalidState.valid, 'Invalid email should fail validation');
             
-            results.pass('Form elements present', formElements);
-        } catch (e) {
-            results.fail('Form elements check', e);
-        }
-        
-        // ============================================
-        // TEST: Required Field Validation (Empty Submit)
-        // ============================================
-        try {
-            // Try to submit empty form
-            await page.evaluate(() => {
-                const form = document.querySelector('#contact form, .contact-form');
-                if (form) {
-                    form.reportValidity();
-                }
-            });
+            // Clear and test valid email
+            await emailInput.click({ clickCount: 3 });
+            await emailInput.type('test@example.com');
             
-            // Check for validation messages
-            const validationState = await page.evaluate(() => {
-                const form = document.querySelector('#contact form, .contact-form');
-                if (!form) return null;
-                
-                const invalidInputs = Array.from(form.querySelectorAll('input, textarea, select'))
-                    .filter(el => el.required && !el.validity.valid);
-                
+            const validState = await page.evaluate(() => {
+                const input = document.querySelector('#contact form input[type="email"], .contact-form input[type="email"]');
                 return {
-                    hasInvalidInputs: invalidInputs.length > 0,
-                    invalidCount: invalidInputs.length,
-                    invalidFields: invalidInputs.map(el => ({
-                        name: el.name,
-                        validationMessage: el.validationMessage
-                    }))
+                    value: input.value,
+                    valid: input.validity.valid
                 };
             });
             
-            Assertions.isTrue(validationState.hasInvalidInputs, 'Form should have invalid required fields when empty');
+            Assertions.isTrue(validState.valid, 'Valid email should pass validation');
             
-            results.pass('Required field validation working', validationState);
-        } catch (e) {
-            results.fail('Required field validation', e);
+            return { invalidTest: invalidState, validTest: validState };
+        } else {
+            skip('No email input found');
         }
+    });
+    
+    test('Input focus styles', async ({ page, warn }) => {
+        const inputSelector = '#contact form input:not([type="hidden"]), .contact-form input:not([type="hidden"])';
+        const input = await page.$(inputSelector);
         
-        // ============================================
-        // TEST: Email Validation
-        // ============================================
-        try {
-            const emailInput = await page.$('#contact form input[type="email"], .contact-form input[type="email"]');
+        if (input) {
+            // Get unfocused styles
+            const unfocusedStyles = await page.evaluate((sel) => {
+                const el = document.querySelector(sel);
+                const styles = getComputedStyle(el);
+                return {
+                    borderColor: styles.borderColor,
+                    boxShadow: styles.boxShadow,
+                    outline: styles.outline
+                };
+            }, inputSelector);
             
-            if (emailInput) {
-                // Test invalid email
-                await emailInput.type('not-an-email');
-                
-                const invalidState = await page.evaluate(() => {
-                    const input = document.querySelector('#contact form input[type="email"], .contact-form input[type="email"]');
-                    return {
-                        value: input.value,
-                        valid: input.validity.valid,
-                        typeMismatch: input.validity.typeMismatch,
-                        message: input.validationMessage
-                    };
-                });
-                
-                Assertions.isFalse(invalidState.valid, 'Invalid email should fail validation');
-                
-                // Clear and test valid email
-                await emailInput.click({ clickCount: 3 });
-                await emailInput.type('test@example.com');
-                
-                const validState = await page.evaluate(() => {
-                    const input = document.querySelector('#contact form input[type="email"], .contact-form input[type="email"]');
-                    return {
-                        value: input.value,
-                        valid: input.validity.valid
-                    };
-                });
-                
-                Assertions.isTrue(validState.valid, 'Valid email should pass validation');
-                
-                results.pass('Email validation working', { invalidTest: invalidState, validTest: validState });
-            } else {
-                results.skip('Email validation', 'No email input found');
-            }
-        } catch (e) {
-            results.fail('Email validation', e);
-        }
-        
-        // ============================================
-        // TEST: Input Focus Styles
-        // ============================================
-        try {
-            const inputSelector = '#contact form input:not([type="hidden"]), .contact-form input:not([type="hidden"])';
-            const input = await page.$(inputSelector);
+            // Focus the input
+            await input.focus();
+            await delay(100);
             
-            if (input) {
-                // Get unfocused styles
-                const unfocusedStyles = await page.evaluate((sel) => {
-                    const el = document.querySelector(sel);
-                    const styles = getComputedStyle(el);
-                    return {
-                        borderColor: styles.borderColor,
-                        boxShadow: styles.boxShadow,
-                        outline: styles.outline
-                    };
-                }, inputSelector);
-                
-                // Focus the input
-                await input.focus();
-                await delay(100);
-                
-                // Get focused styles
-                const focusedStyles = await page.evaluate((sel) => {
-                    const el = document.querySelector(sel);
-                    const styles = getComputedStyle(el);
-                    return {
-                        borderColor: styles.borderColor,
-                        boxShadow: styles.boxShadow,
-                        outline: styles.outline
-                    };
-                }, inputSelector);
-                
-                // Check that styles changed
-                const stylesChanged = 
-                    unfocusedStyles.borderColor !== focusedStyles.borderColor ||
-                    unfocusedStyles.boxShadow !== focusedStyles.boxShadow ||
-                    unfocusedStyles.outline !== focusedStyles.outline;
-                
-                if (stylesChanged) {
-                    results.pass('Input focus styles applied', { unfocused: unfocusedStyles, focused: focusedStyles });
-                } else {
-                    results.warn('Input focus styles may not be visible', 
-                        'Consider adding visible focus styles for accessibility',
-                        { unfocused: unfocusedStyles, focused: focusedStyles }
-                    );
-                }
-            }
-        } catch (e) {
-            results.fail('Input focus styles', e);
-        }
-        
-        // ============================================
-        // TEST: Select Dropdown Functionality
-        // ============================================
-        try {
-            const selectSelector = '#contact form select, .contact-form select';
-            const select = await page.$(selectSelector);
+            // Get focused styles
+            const focusedStyles = await page.evaluate((sel) => {
+                const el = document.querySelector(sel);
+                const styles = getComputedStyle(el);
+                return {
+                    borderColor: styles.borderColor,
+                    boxShadow: styles.boxShadow,
+                    outline: styles.outline
+                };
+            }, inputSelector);
             
-            if (select) {
-                const selectInfo = await page.evaluate((sel) => {
-                    const el = document.querySelector(sel);
-                    return {
-                        name: el.name,
-                        optionCount: el.options.length,
-                        options: Array.from(el.options).map(opt => ({
-                            value: opt.value,
-                            text: opt.textContent,
-                            selected: opt.selected
-                        })),
-                        required: el.required
-                    };
-                }, selectSelector);
-                
-                // Try selecting an option
-                if (selectInfo.optionCount > 1) {
-                    await page.select(selectSelector, selectInfo.options[1].value);
-                    
-                    const newValue = await page.evaluate((sel) => {
-                        return document.querySelector(sel).value;
-                    }, selectSelector);
-                    
-                    Assertions.equals(newValue, selectInfo.options[1].value, 'Select should change value');
-                }
-                
-                results.pass('Select dropdown working', selectInfo);
+            // Check that styles changed
+            const stylesChanged = 
+                unfocusedStyles.borderColor !== focusedStyles.borderColor ||
+                unfocusedStyles.boxShadow !== focusedStyles.boxShadow ||
+                unfocusedStyles.outline !== focusedStyles.outline;
+            
+            if (stylesChanged) {
+                return { unfocused: unfocusedStyles, focused: focusedStyles };
             } else {
-                results.skip('Select dropdown test', 'No select element found');
+                warn('Consider adding visible focus styles for accessibility',
+                    { unfocused: unfocusedStyles, focused: focusedStyles }
+                );
             }
-        } catch (e) {
-            results.fail('Select dropdown', e);
         }
+    });
+    
+    test('Select dropdown', async ({ page, skip }) => {
+        await showAllFields(page);
+        const selectSelector = '#contact form select, .contact-form select';
+        const select = await page.$(selectSelector);
         
-        // ============================================
-        // TEST: Textarea Functionality
-        // ============================================
-        try {
-            const textareaSelector = '#contact form textarea, .contact-form textarea';
-            const textarea = await page.$(textareaSelector);
+        if (select) {
+            const selectInfo = await page.evaluate((sel) => {
+                const el = document.querySelector(sel);
+                return {
+                    name: el.name,
+                    optionCount: el.options.length,
+                    options: Array.from(el.options).map(opt => ({
+                        value: opt.value,
+                        text: opt.textContent,
+                        selected: opt.selected
+                    })),
+                    required: el.required
+                };
+            }, selectSelector);
             
-            if (textarea) {
-                const textareaInfo = await page.evaluate((sel) => {
-                    const el = document.querySelector(sel);
-                    return {
-                        name: el.name,
-                        maxLength: el.maxLength,
-                        minLength: el.minLength,
-                        required: el.required,
-                        placeholder: el.placeholder,
-                        resizable: getComputedStyle(el).resize
-                    };
-                }, textareaSelector);
-                
-                // Type in textarea
-                const testText = 'This is a test message for the contact form.';
-                await textarea.type(testText);
+            // Try selecting an option
+            if (selectInfo.optionCount > 1) {
+                await page.select(selectSelector, selectInfo.options[1].value);
                 
-                const typedValue = await page.evaluate((sel) => {
+                const newValue = await page.evaluate((sel) => {
                     return document.querySelector(sel).value;
-                }, textareaSelector);
-                
-                Assertions.equals(typedValue, testText, 'Textarea should contain typed text');
+                }, selectSelector);
                 
-                results.pass('Textarea working', textareaInfo);
-            } else {
-                results.skip('Textarea test', 'No textarea found');
+                Assertions.equals(newValue, selectInfo.options[1].value, 'Select should change value');
             }
-        } catch (e) {
-            results.fail('Textarea functionality', e);
-        }
-        
-        // ============================================
-        // TEST: Form Submission Prevention (Formspree placeholder)
-        // ============================================
-        try {
-            const formAction = await page.evaluate(() => {
-                const form = document.querySelector('#contact form, .contact-form');
-                return form ? form.action : null;
-            });
             
-            if (formAction && formAction.includes('YOUR_FORM_ID')) {
-                results.warn('Form action placeholder detected',
-                    'Form action still contains "YOUR_FORM_ID" placeholder - needs real Formspree ID',
-                    { action: formAction }
-                );
-            } else if (formAction && formAction.includes('formspree.io')) {
-                results.pass('Form action configured for Formspree', { action: formAction });
-            } else {
-                results.warn('Form action may need configuration',
-                    'Verify form submission endpoint is correct',
-                    { action: formAction }
-                );
-            }
-        } catch (e) {
-            results.fail('Form action check', e);
+            return selectInfo;
+        } else {
+            skip('No select element found');
         }
+    });
+    
+    test('Textarea functionality', async ({ page, skip }) => {
+        await showAllFields(page);
+        const textareaSelector = '#contact form textarea, .contact-form textarea';
+        const textarea = await page.$(textareaSelector);
         
-        // ============================================
-        // CONTACT FORM PAGE TESTS
-        // ============================================
-        await page.goto(config.targets.contactForm, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
-        
-        // ============================================
-        // TEST: Character Counter Functionality
-        // ============================================
-        try {
-            const charCounterExists = await page.evaluate(() => {
+        if (textarea) {
+            const textareaInfo = await page.evaluate((sel) => {
+                const el = document.querySelector(sel);
                 return {
-                    hasTextarea: !!document.querySelector('#description'),
-                    hasCounter: !!document.querySelector('#char-count'),
-                    counterValue: document.querySelector('#char-count')?.textContent
+                    name: el.name,
+                    maxLength: el.maxLength,
+                    minLength: el.minLength,
+                    required: el.required,
+                    placeholder: el.placeholder,
+                    resizable: getComputedStyle(el).resize
                 };
-            });
+            }, textareaSelector);
             
-            if (charCounterExists.hasTextarea && charCounterExists.hasCounter) {
-                const textarea = await page.$('#description');
-                const testText = 'Testing character counter';
-                await textarea.type(testText);
-                
-                const updatedCount = await page.evaluate(() => {
-                    return document.querySelector('#char-count').textContent;
-                });
-                
-                Assertions.equals(updatedCount, String(testText.length), 
-                    `Counter should show ${testText.length}, got ${updatedCount}`);
-                
-                results.pass('Character counter working', { 
-                    typed: testText.length, 
-                    displayed: updatedCount 
-                });
-            } else {
-                results.skip('Character counter', 'Counter elements not found');
-            }
-        } catch (e) {
-            results.fail('Character counter', e);
-        }
-        
-        // ============================================
-        // TEST: Form Field Labels
-        // ============================================
-        try {
-            const labelAssociations = await page.evaluate(() => {
-                const inputs = document.querySelectorAll('input:not([type="hidden"]), select, textarea');
-                return Array.from(inputs).map(input => {
-                    const label = document.querySelector(`label[for="${input.id}"]`);
-                    return {
-                        inputId: input.id,
-                        inputName: input.name,
-                        inputType: input.type || input.tagName.toLowerCase(),
-                        hasLabel: !!label,
-                        labelText: label?.textContent.trim(),
-                        isRequired: input.required,
-                        hasRequiredIndicator: label?.classList.contains('required') || 
-                                              label?.textContent.includes('*')
-                    };
-                });
-            });
+            // Type in textarea
+            const testText = 'This is a test message for the contact form.';
+            await textarea.type(testText);
             
-            const missingLabels = labelAssociations.filter(l => !l.hasLabel);
-            const missingRequiredIndicator = labelAssociations.filter(l => 
-                l.isRequired && !l.hasRequiredIndicator
-            );
+            const typedValue = await page.evaluate((sel) => {
+                return document.querySelector(sel).value;
+            }, textareaSelector);
             
-            if (missingLabels.length > 0) {
-                results.warn('Inputs missing labels',
-                    `${missingLabels.length} inputs don't have associated labels`,
-                    { missing: missingLabels.map(l => l.inputId || l.inputName) }
-                );
-            } else {
-                results.pass('All inputs have labels', { count: labelAssociations.length });
-            }
+            Assertions.equals(typedValue, testText, 'Textarea should contain typed text');
             
-            if (missingRequiredIndicator.length > 0) {
-                results.warn('Required fields missing indicators',
-                    'Some required fields don\'t have visual required indicator',
-                    { missing: missingRequiredIndicator.map(l => l.inputName) }
-                );
-            }
-        } catch (e) {
-            results.fail('Label associations', e);
+            return textareaInfo;
+        } else {
+            skip('No textarea found');
         }
+    });
+    
+    test('Form action check', async ({ page, warn }) => {
+        const formAction = await page.evaluate(() => {
+            const form = document.querySelector('#contact form, .contact-form');
+            return form ? form.action : null;
+        });
         
-        // ============================================
-        // TEST: Form Complete Flow
-        // ============================================
-        try {
-            // Fill out form completely
-            await page.type('#name', 'Test User');
-            await page.type('#email', 'test@example.com');
-            
-            const companyInput = await page.$('#company');
-            if (companyInput) {
-                await companyInput.type('Test Company');
-            }
-            
-            // Select dropdowns
-            const projectType = await page.$('#project-type');
-            if (projectType) {
-                await page.select('#project-type', 'web-app');
-            }
-            
-            const budget = await page.$('#budget');
-            if (budget) {
-                await page.select('#budget', '5k-15k');
-            }
-            
-            const timeline = await page.$('#timeline');
-            if (timeline) {
-                await page.select('#timeline', '1-3-months');
-            }
-            
-            // Fill textarea
-            const description = await page.$('#description');
-            if (description) {
-                await description.click({ clickCount: 3 }); // Select existing text
-                await description.type('This is a detailed project description for testing purposes.');
-            }
+        if (formAction && formAction.includes('YOUR_FORM_ID')) {
+            warn('Form action still contains "YOUR_FORM_ID" placeholder - needs real Formspree ID', { action: formAction });
+        } else if (formAction && formAction.includes('formspree.io')) {
+            return { action: formAction };
+        } else {
+            warn('Verify form submission endpoint is correct', { action: formAction });
+        }
+    });
+    
+    // Standalone inquiry form (assets/contact-form.html)
+    test('Character counter', async ({ page, skip }) => {
+        const charCounterExists = await page.evaluate(() => {
+            return {
+                hasTextarea: !!document.querySelector('#description'),
+                hasCounter: !!document.querySelector('#char-count'),
+                counterValue: document.querySelector('#char-count')?.textContent
+            };
+        });
+        
+        if (charCounterExists.hasTextarea && charCounterExists.hasCounter) {
+            const textarea = await page.$('#description');
+            const testText = 'Testing character counter';
+            await textarea.type(testText);
             
-            // Check form validity
-            const isValid = await page.evaluate(() => {
-                const form = document.querySelector('#inquiry-form');
-                return form ? form.checkValidity() : false;
+            const updatedCount = await page.evaluate(() => {
+                return document.querySelector('#char-count').textContent;
             });
             
-            Assertions.isTrue(isValid, 'Completed form should be valid');
+            Assertions.equals(updatedCount, String(testText.length), 
+                `Counter should show ${testText.length}, got ${updatedCount}`);
             
-            results.pass('Form complete flow works', { isValid });
-        } catch (e) {
-            results.fail('Form complete flow', e);
+            return { 
+                typed: testText.length, 
+                displayed: updatedCount 
+            };
+        } else {
+            skip('Counter elements not found');
         }
-        
-        // ============================================
-        // TEST: Success Message Hidden Initially
-        // ============================================
-        try {
-            const successMessage = await page.evaluate(() => {
-                const msg = document.querySelector('#success-message, .success-message');
-                if (!msg) return null;
-                
-                const styles = getComputedStyle(msg);
+    }, contactFormPage);
+    
+    test('Label associations', async ({ page, warn }) => {
+        const labelAssociations = await page.evaluate(() => {
+            const inputs = document.querySelectorAll('input:not([type="hidden"]), select, textarea');
+            return Array.from(inputs).map(input => {
+                const label = document.querySelector(`label[for="${input.id}"]`);
                 return {
-                    exists: true,
-                    display: styles.display,
-                    isHidden: styles.display === 'none' || !msg.classList.contains('show')
+                    inputId: input.id,
+                    inputName: input.name,
+                    inputType: input.type || input.tagName.toLowerCase(),
+                    hasLabel: !!label,
+                    labelText: label?.textContent.trim(),
+                    isRequired: input.required,
+                    hasRequiredIndicator: label?.classList.contains('required') || 
+                                          label?.textContent.includes('*')
                 };
             });
-            
-            if (successMessage) {
-                Assertions.isTrue(successMessage.isHidden, 'Success message should be hidden initially');
-                results.pass('Success message hidden initially', successMessage);
-            } else {
-                results.skip('Success message check', 'No success message element found');
-            }
-        } catch (e) {
-            results.fail('Success message initial state', e);
+        });
+        
+        const missingLabels = labelAssociations.filter(l => !l.hasLabel);
+        const missingRequiredIndicator = labelAssociations.filter(l => 
+            l.isRequired && !l.hasRequiredIndicator
+        );
+        
+        const issues = [];
+        if (missingLabels.length > 0) {
+            issues.push(`${missingLabels.length} inputs don't have associated labels`);
+        }
+        if (missingRequiredIndicator.length > 0) {
+            issues.push('Some required fields don\'t have visual required indicator');
         }
         
-        // ============================================
-        // TEST: Input Placeholder Text
-        // ============================================
-        try {
-            const placeholders = await page.evaluate(() => {
-                const inputs = document.querySelectorAll('input:not([type="hidden"]), textarea');
-                return Array.from(inputs).map(input => ({
-                    name: input.name,
-                    type: input.type,
-                    placeholder: input.placeholder,
-                    hasPlaceholder: input.placeholder.length > 0
-                }));
+        if (issues.length > 0) {
+            warn(issues.join('; '), {
+                missingLabels: missingLabels.map(l => l.inputId || l.inputName),
+                missingRequiredIndicator: missingRequiredIndicator.map(l => l.inputName)
             });
-            
-            const missingPlaceholders = placeholders.filter(p => !p.hasPlaceholder);
-            
-            if (missingPlaceholders.length > 0) {
-                results.warn('Inputs missing placeholders',
-                    'Some inputs could benefit from placeholder text',
-                    { missing: missingPlaceholders.map(p => p.name) }
-                );
-            } else {
-                results.pass('All inputs have placeholders', { count: placeholders.length });
-            }
-        } catch (e) {
-            results.fail('Placeholder text check', e);
+        } else {
+            return { count: labelAssociations.length };
+        }
+    }, contactFormPage);
+    
+    test('Form complete flow', async ({ page }) => {
+        // Fill out form completely
+        await page.type('#name', 'Test User');
+        await page.type('#email', 'test@example.com');
+        
+        const companyInput = await page.$('#company');
+        if (companyInput) {
+            await companyInput.type('Test Company');
+        }
+        
+        // Select dropdowns
+        const projectType = await page.$('#project-type');
+        if (projectType) {
+            await page.select('#project-type', 'web-app');
         }
         
-        // ============================================
-        // TEST: Submit Button States
-        // ============================================
-        try {
-            const submitButton = await page.$('.submit-btn, button[type="submit"], .form-submit');
+        const budget = await page.$('#budget');
+        if (budget) {
+            await page.select('#budget', '5k-15k');
+        }
+        
+        const timeline = await page.$('#timeline');
+        if (timeline) {
+            await page.select('#timeline', '1-3-months');
+        }
+        
+        // Fill textarea
+        const description = await page.$('#description');
+        if (description) {
+            await description.click({ clickCount: 3 }); // Select existing text
+            await description.type('This is a detailed project description for testing purposes.');
+        }
+        
+        // Check form validity
+        const isValid = await page.evaluate(() => {
+            const form = document.querySelector('#inquiry-form');
+            return form ? form.checkValidity() : false;
+        });
+        
+        Assertions.isTrue(isValid, 'Completed form should be valid');
+        
+        return { isValid };
+    }, contactFormPage);
+    
+    test('Success message initial state', async ({ page, skip }) => {
+        const successMessage = await page.evaluate(() => {
+            const msg = document.querySelector('#success-message, .success-message');
+            if (!msg) return null;
             
-            if (submitButton) {
-                const buttonStyles = await page.evaluate(() => {
-                    const btn = document.querySelector('.submit-btn, button[type="submit"], .form-submit');
-                    const styles = getComputedStyle(btn);
-                    return {
-                        display: styles.display,
-                        cursor: styles.cursor,
-                        opacity: styles.opacity,
-                        disabled: btn.disabled,
-                        text: btn.textContent.trim()
-                    };
-                });
-                
-                Assertions.equals(buttonStyles.cursor, 'pointer', 'Submit button should have pointer cursor');
-                Assertions.isFalse(buttonStyles.disabled, 'Submit button should not be disabled');
-                
-                results.pass('Submit button state correct', buttonStyles);
-            }
-        } catch (e) {
-            results.fail('Submit button states', e);
+            const styles = getComputedStyle(msg);
+            return {
+                exists: true,
+                display: styles.display,
+                isHidden: styles.display === 'none' || !msg.classList.contains('show')
+            };
+        });
+        
+        if (successMessage) {
+            Assertions.isTrue(successMessage.isHidden, 'Success message should be hidden initially');
+            return successMessage;
+        } else {
+            skip('No success message element found');
         }
+    }, contactFormPage);
+    
+    test('Placeholder text check', async ({ page, warn }) => {
+        const placeholders = await page.evaluate(() => {
+            const inputs = document.querySelectorAll('input:not([type="hidden"]), textarea');
+            return Array.from(inputs).map(input => ({
+                name: input.name,
+                type: input.type,
+                placeholder: input.placeholder,
+                hasPlaceholder: input.placeholder.length > 0
+            }));
+        });
         
-        // ============================================
-        // TEST: Form Accessibility (ARIA)
-        // ============================================
-        try {
-            const ariaAttributes = await page.evaluate(() => {
-                const form = document.querySelector('form');
-                if (!form) return null;
-                
-                const inputs = form.querySelectorAll('input, textarea, select');
-                return Array.from(inputs).map(input => ({
-                    name: input.name,
-                    ariaLabel: input.getAttribute('aria-label'),
-                    ariaDescribedBy: input.getAttribute('aria-describedby'),
-                    ariaRequired: input.getAttribute('aria-required'),
-                    ariaInvalid: input.getAttribute('aria-invalid'),
-                    role: input.getAttribute('role')
-                }));
+        const missingPlaceholders = placeholders.filter(p => !p.hasPlaceholder);
+        
+        if (missingPlaceholders.length > 0) {
+            warn('Some inputs could benefit from placeholder text', { missing: missingPlaceholders.map(p => p.name) });
+        } else {
+            return { count: placeholders.length };
+        }
+    }, contactFormPage);
+    
+    test('Submit button states', async ({ page }) => {
+        const submitButton = await page.$('.submit-btn, button[type="submit"], .form-submit');
+        
+        if (submitButton) {
+            const buttonStyles = await page.evaluate(() => {
+                const btn = document.querySelector('.submit-btn, button[type="submit"], .form-submit');
+                const styles = getComputedStyle(btn);
+                return {
+                    display: styles.display,
+                    cursor: styles.cursor,
+                    opacity: styles.opacity,
+                    disabled: btn.disabled,
+                    text: btn.textContent.trim()
+                };
             });
             
-            results.pass('Form ARIA attributes analyzed', {
-                totalInputs: ariaAttributes?.length || 0,
-                withAriaLabel: ariaAttributes?.filter(a => a.ariaLabel).length || 0
-            });
-        } catch (e) {
-            results.fail('Form ARIA check', e);
+            Assertions.equals(buttonStyles.cursor, 'pointer', 'Submit button should have pointer cursor');
+            Assertions.isFalse(buttonStyles.disabled, 'Submit button should not be disabled');
+            
+            return buttonStyles;
         }
+    }, contactFormPage);
+    
+    const validatedForms = [
+        // The homepage form is a step-by-step wizard; its single-form mode shows every field at once
+        { label: 'Homepage', form: '.contact-form', submit: '.contact-form .form-submit', showAll: '.contact-form .wizard-mode-toggle', options: {} },
+        { label: 'Inquiry', form: '#inquiry-form', submit: '#inquiry-form .submit-btn', options: contactFormPage }
+    ];
+    
+    // Checked on the markup alone, since that is what a visitor without JavaScript submits
+    validatedForms.forEach(({ label, form, options }) => {
+        test(`[${label}] Fields match the shared inquiry schema`, async ({ page, url, fail }) => {
+            await page.setJavaScriptEnabled(false);
+            await page.goto(url, { waitUntil: 'load', timeout: config.timeouts.navigation });
+            
+            const controls = await formControls(page, form);
+            const mismatches = schemaMismatches(controls);
+            
+            if (mismatches.length > 0) {
+                fail(new Error(`${mismatches.length} difference(s) from the inquiry schema: ${mismatches.slice(0, 3).join('; ')}`), {
+                    mismatches,
+                    controls
+                });
+                return;
+            }
+            return { fields: controls.map(control => control.name) };
+        }, options);
+    });
+    
+    validatedForms.forEach(({ label, form, submit, showAll, options }) => {
+        test(`[${label}] Empty submit shows linked errors, a summary and an announcement`, async ({ page }) => {
+            if (showAll) await page.click(showAll);
+            await page.click(submit);
+            await waitForAnnouncement(page, form);
+            const state = await validationState(page, form);
+            
+            const invalidNames = state.invalid.map(field => field.name);
+            const missing = state.required.filter(name => !invalidNames.includes(name));
+            const undescribed = state.invalid.filter(field => field.descriptions.length === 0).map(field => field.name);
+            
+            Assertions.equals(missing.length, 0, `Required fields not flagged: ${missing.join(', ')}`);
+            Assertions.equals(undescribed.length, 0, `Invalid fields without linked error text: ${undescribed.join(', ')}`);
+            Assertions.equals(state.focused, invalidNames[0], 'Focus should move to the first invalid field');
+            Assertions.isTrue(state.summaryShown, 'Error summary should be shown');
+            Assertions.equals(state.summaryItems, state.invalid.length, 'Summary should list every error');
+            Assertions.isTrue(state.announcement.includes(`${state.invalid.length} problem`), `Live region should announce the errors, got "${state.announcement}"`);
+            Assertions.isTrue(state.formVisible, 'Nothing should be sent while the form is invalid');
+            
+            return { invalid: state.invalid, announcement: state.announcement };
+        }, options);
+    });
+    
+    test('[Inquiry] Email and description rules, cleared as fields are fixed', async ({ page }) => {
+        const { minDescriptionLength } = config.formValidation;
+        
+        await page.type('#name', 'Test User');
+        await page.type('#email', 'not-an-email');
+        await page.select('#project-type', 'web-app');
+        await page.select('#budget', '5k-15k');
+        await page.select('#timeline', 'flexible');
+        await page.type('#description', 'Too short'.slice(0, minDescriptionLength - 1));
+        await page.click('#inquiry-form .submit-btn');
+        await waitForAnnouncement(page, '#inquiry-form');
+        
+        const before = await validationState(page, '#inquiry-form');
+        const messages = Object.fromEntries(before.invalid.map(field => [field.name, field.descriptions.join(' ')]));
+        
+        Assertions.equals(Object.keys(messages).sort().join(','), 'description,email', 'Only email and description should be flagged');
+        Assertions.isTrue(messages.email.includes('valid email'), `Email message: "${messages.email}"`);
+        Assertions.isTrue(messages.description.includes(`at least ${minDescriptionLength}`), `Description message: "${messages.description}"`);
         
-    } catch (e) {
-        results.fail('Form test suite setup', e);
-    } finally {
-        if (browser) await browser.close();
-    }
+        // Fixing a field clears its error and the summary entry straight away
+        await page.click('#email', { clickCount: 3 });
+        await page.type('#email', 'test@example.com');
+        const after = await validationState(page, '#inquiry-form');
+        
+        Assertions.equals(after.invalid.map(field => field.name).join(','), 'description', 'Email error should clear once fixed');
+        Assertions.equals(after.summaryItems, 1, 'Summary should drop the fixed field');
+        
+        return { before: messages, remaining: after.invalid };
+    }, contactFormPage);
     
-    return results.getSummary();
-}
+    test('Form ARIA check', async ({ page }) => {
+        const ariaAttributes = await page.evaluate(() => {
+            const form = document.querySelector('form');
+            if (!form) return null;
+            
+            const inputs = form.querySelectorAll('input, textarea, select');
+            return Array.from(inputs).map(input => ({
+                name: input.name,
+                ariaLabel: input.getAttribute('aria-label'),
+                ariaDescribedBy: input.getAttribute('aria-describedby'),
+                ariaRequired: input.getAttribute('aria-required'),
+                ariaInvalid: input.getAttribute('aria-invalid'),
+                role: input.getAttribute('role')
+            }));
+        });
+        
+        return {
+            totalInputs: ariaAttributes?.length || 0,
+            withAriaLabel: ariaAttributes?.filter(a => a.ariaLabel).length || 0
+        };
+    }, contactFormPage);
+});
 
 module.exports = { runFormTests };
 
@@ -0,0 +1,232 @@
+/**
+ * GFV LLC - HTML Report
+ * Self-contained report page (inline CSS/JS, embedded screenshots) that opens offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDuration(ms) {
+    if (!ms) return '0ms';
+    if (ms < 1000) return `${ms}ms`;
+    return `${(ms / 1000).toFixed(2)}s`;
+}
+
+const styles = `
+    :root { --bg: #0d0d0d; --card: #1a1a1a; --text: #f5f5f5; --muted: #a0a0a0; --border: rgba(255,255,255,0.1);
+            --pass: #10b981; --fail: #ef4444; --warn: #f59e0b; --skip: #6b7280; }
+    * { box-sizing: border-box; }
+    body { margin: 0; padding: 2rem; background: var(--bg); color: var(--text); font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    h2 { font-size: 1.125rem; margin: 0; }
+    .meta { color: var(--muted); margin-bottom: 1.5rem; }
+    .totals { display: flex; flex-wrap: wrap; gap: 1rem; margin-bottom: 1.5rem; }
+    .total { background: var(--card); border: 1px solid var(--border); border-radius: 8px; padding: 0.75rem 1rem; min-width: 110px; }
+    .total strong { display: block; font-size: 1.25rem; }
+    .filters { display: flex; flex-wrap: wrap; gap: 1.5rem; align-items: center; background: var(--card); border: 1px solid var(--border);
+               border-radius: 8px; padding: 0.75rem 1rem; margin-bottom: 1.5rem; position: sticky; top: 0; z-index: 1; }
+    .filters select { background: var(--bg); color: var(--text); border: 1px solid var(--border); border-radius: 4px; padding: 0.25rem 0.5rem; }
+    .filters label { cursor: pointer; }
+    .suite { background: var(--card); border: 1px solid var(--border); border-radius: 8px; margin-bottom: 1.5rem; }
+    .suite-header { display: flex; justify-content: space-between; gap: 1rem; padding: 1rem; border-bottom: 1px solid var(--border); }
+    .suite-counts { color: var(--muted); }
+    .target { font: 600 0.75rem/1 monospace; padding: 0.25rem 0.5rem; border-radius: 4px; background: var(--border); vertical-align: middle; }
+    .test { padding: 0.75rem 1rem; border-bottom: 1px solid var(--border); }
+    .test:last-child { border-bottom: none; }
+    .test-line { display: flex; gap: 0.75rem; align-items: baseline; }
+    .test-name { flex: 1; }
+    .duration { color: var(--muted); font-size: 0.8125rem; }
+    .badge { font: 600 0.75rem/1 monospace; padding: 0.25rem 0.5rem; border-radius: 4px; color: #000; }
+    .badge-PASS { background: var(--pass); } .badge-FAIL { background: var(--fail); }
+    .badge-WARN { background: var(--warn); } .badge-SKIP { background: var(--skip); }
+    .message { margin: 0.5rem 0 0; white-space: pre-wrap; color: var(--muted); }
+    .message-FAIL { color: var(--fail); } .message-WARN { color: var(--warn); }
+    details { margin-top: 0.5rem; }
+    summary { cursor: pointer; color: var(--muted); }
+    pre { background: var(--bg); border: 1px solid var(--border); border-radius: 4px; padding: 0.75rem; overflow: auto; max-height: 400px; font-size: 0.8125rem; }
+    .attachments { display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 0.75rem; }
+    figure { margin: 0; max-width: 420px; }
+    figure img { max-width: 100%; border: 1px solid var(--border); border-radius: 4px; display: block; }
+    figcaption { color: var(--muted); font-size: 0.8125rem; margin-top: 0.25rem; }
+    .diff { max-height: 600px; }
+    .diff .add { color: var(--pass); } .diff .del { color: var(--fail); } .diff .hunk { color: #60a5fa; }
+    .slowest { background: var(--card); border: 1px solid var(--border); border-radius: 8px; padding: 0.75rem 1rem; margin-bottom: 1.5rem; }
+    .slowest summary { color: var(--text); font-weight: 600; }
+    .slowest ol { margin: 0.5rem 0 0; padding-left: 1.5rem; }
+    .hidden { display: none; }
+`;
+
+// Filtering runs in the report itself so it needs no server
+const script = `
+    (function() {
+        var targetFilter = document.getElementById('target-filter');
+        var suiteFilter = document.getElementById('suite-filter');
+        var statusFilters = Array.prototype.slice.call(document.querySelectorAll('[data-status-filter]'));
+        
+        function applyFilters() {
+            var target = targetFilter.value;
+            var suite = suiteFilter.value;
+            var statuses = statusFilters.filter(function(cb) { return cb.checked; }).map(function(cb) { return cb.value; });
+            
+            document.querySelectorAll('.suite').forEach(function(section) {
+                var suiteVisible = (target === 'all' || section.getAttribute('data-target') === target) &&
+                    (suite === 'all' || section.getAttribute('data-suite') === suite);
+                var visibleTests = 0;
+                section.querySelectorAll('.test').forEach(function(test) {
+                    var show = suiteVisible && statuses.indexOf(test.getAttribute('data-status')) !== -1;
+                    test.classList.toggle('hidden', !show);
+                    if (show) visibleTests++;
+                });
+                section.classList.toggle('hidden', !suiteVisible || visibleTests === 0);
+            });
+        }
+        
+        targetFilter.addEventListener('change', applyFilters);
+        suiteFilter.addEventListener('change', applyFilters);
+        statusFilters.forEach(function(cb) { cb.addEventListener('change', applyFilters); });
+        applyFilters();
+    })();
+`;
+
+function renderAttachments(test) {
+    const images = (test.attachments || []).filter(a => a.contentType && a.contentType.startsWith('image/'));
+    if (images.length === 0) return '';
+    
+    return `<div class="attachments">${images.map(a => `
+                <figure>
+                    <img src="data:${escapeHtml(a.contentType)};base64,${a.data}" alt="${escapeHtml(a.label)} - ${escapeHtml(test.name)}" loading="lazy">
+                    <figcaption>${escapeHtml(a.label)}</figcaption>
+                </figure>`).join('')}
+            </div>`;
+}
+
+// Unified diffs (drift, snapshots) read better as colored text than inside the JSON dump
+function renderDiff(diff) {
+    const lines = diff.split('\n').map(line => {
+        const cls = line.startsWith('@@') ? 'hunk'
+            : line.startsWith('+') && !line.startsWith('+++') ? 'add'
+            : line.startsWith('-') && !line.startsWith('---') ? 'del'
+            : '';
+        return cls ? `<span class="${cls}">${escapeHtml(line)}</span>` : escapeHtml(line);
+    });
+    return `<details open><summary>Diff</summary><pre class="diff">${lines.join('\n')}</pre></details>`;
+}
+
+function renderTest(test) {
+    const message = test.error || test.warning || test.reason || '';
+    const hasDetails = test.details !== null && test.details !== undefined;
+    
+    return `
+        <div class="test" data-status="${escapeHtml(test.status)}">
+            <div class="test-line">
+                <span class="badge badge-${escapeHtml(test.status)}">${escapeHtml(test.status)}</span>
+                <span class="test-name">${escapeHtml(test.name)}</span>
+                <span class="duration">${formatDuration(test.duration)}</span>
+            </div>
+            ${message ? `<p class="message message-${escapeHtml(test.status)}">${escapeHtml(message)}</p>` : ''}
+            ${hasDetails && typeof test.details.diff === 'string' ? renderDiff(test.details.diff) : ''}
+            ${hasDetails ? `<details><summary>Details</summary><pre>${escapeHtml(JSON.stringify(test.details, null, 2))}</pre></details>` : ''}
+            ${renderAttachments(test)}
+        </div>`;
+}
+
+function renderSuite(result) {
+    return `
+    <section class="suite" data-suite="${escapeHtml(result.suite)}" data-target="${escapeHtml(result.target || '')}">
+        <div class="suite-header">
+            <h2>${result.target ? `<span class="target">${escapeHtml(result.target)}</span> ` : ''}${escapeHtml(result.suite)}</h2>
+            <span class="suite-counts">${result.passed}/${result.total} passed · ${result.failed} failed · ${result.warnings} warnings · ${result.skipped} skipped · ${formatDuration(result.duration)}${result.setupDuration ? ` (${formatDuration(result.setupDuration)} setup)` : ''}</span>
+        </div>
+        ${result.tests.map(renderTest).join('')}
+    </section>`;
+}
+
+function renderSlowest(slowestTests) {
+    if (!slowestTests || slowestTests.length === 0) return '';
+    
+    return `<details class="slowest">
+        <summary>Slowest tests</summary>
+        <ol>${slowestTests.map(t => `
+            <li><span class="duration">${formatDuration(t.duration)}</span> ${escapeHtml(t.suite)} › ${escapeHtml(t.test)}</li>`).join('')}
+        </ol>
+    </details>`;
+}
+
+/**
+ * Render the full report. `summary` is the object returned by printFinalReport.
+ */
+function renderHtmlReport(allResults, summary) {
+    const executed = summary.totalTests - summary.totalSkipped;
+    const passRate = executed > 0 ? ((summary.totalPassed / executed) * 100).toFixed(1) : '0.0';
+    const suiteNames = [...new Set(allResults.map(r => r.suite))];
+    const targetNames = [...new Set(allResults.map(r => r.target).filter(Boolean))];
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>GFV LLC - Web UX Test Report</title>
+    <style>${styles}</style>
+</head>
+<body>
+    <h1>GFV LLC - Web UX Test Report</h1>
+    <p class="meta">Generated ${escapeHtml(new Date().toISOString())}</p>
+    
+    <div class="totals">
+        <div class="total"><strong>${passRate}%</strong>Pass rate</div>
+        <div class="total"><strong>${summary.totalTests}</strong>Tests</div>
+        <div class="total"><strong>${summary.totalPassed}</strong>Passed</div>
+        <div class="total"><strong>${summary.totalFailed}</strong>Failed</div>
+        <div class="total"><strong>${summary.totalWarnings}</strong>Warnings</div>
+        <div class="total"><strong>${summary.totalSkipped}</strong>Skipped</div>
+    </div>
+    
+    ${renderSlowest(summary.slowestTests)}
+    
+    <div class="filters">
+        <label>Target
+            <select id="target-filter">
+                <option value="all">All targets</option>
+                ${targetNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+            </select>
+        </label>
+        <label>Suite
+            <select id="suite-filter">
+                <option value="all">All suites</option>
+                ${suiteNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('')}
+            </select>
+        </label>
+        ${['PASS', 'FAIL', 'WARN', 'SKIP'].map(status =>
+            `<label><input type="checkbox" data-status-filter value="${status}" checked> ${status}</label>`).join('')}
+    </div>
+    
+    ${allResults.map(renderSuite).join('')}
+    
+    <script>${script}</script>
+</body>
+</html>
+`;
+}
+
+function writeHtmlReport(allResults, summary, outputPath) {
+    const resolved = path.resolve(outputPath);
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+    fs.writeFileSync(resolved, renderHtmlReport(allResults, summary));
+    return resolved;
+}
+
+module.exports = {
+    renderHtmlReport,
+    writeHtmlReport,
+    escapeHtml
+};
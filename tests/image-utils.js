@@ -0,0 +1,273 @@
+/**
+ * GFV LLC - Image Utilities
+ * Pure-JS PNG decoding/encoding and pixel comparison for visual regression tests
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+}
+
+/**
+ * PNG codec - handles the 8-bit, non-interlaced images Chromium produces
+ */
+const PngUtils = {
+    // Decode to { width, height, data } where data is RGBA, 4 bytes per pixel
+    decode(buffer) {
+        if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            throw new Error('Not a PNG image');
+        }
+        
+        let offset = 8;
+        let header = null;
+        const idat = [];
+        
+        while (offset < buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('ascii', offset + 4, offset + 8);
+            const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+            
+            if (type === 'IHDR') {
+                header = {
+                    width: chunk.readUInt32BE(0),
+                    height: chunk.readUInt32BE(4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+        
+        if (!header) throw new Error('PNG is missing its IHDR chunk');
+        if (header.bitDepth !== 8 || header.interlace !== 0) {
+            throw new Error(`Unsupported PNG (bit depth ${header.bitDepth}, interlace ${header.interlace})`);
+        }
+        
+        const channelsByType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+        const channels = channelsByType[header.colorType];
+        if (!channels) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+        
+        const { width, height } = header;
+        const stride = width * channels;
+        const raw = zlib.inflateSync(Buffer.concat(idat));
+        const pixels = Buffer.alloc(stride * height);
+        
+        // Undo per-row filters
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const src = y * (stride + 1) + 1;
+            const dst = y * stride;
+            
+            for (let x = 0; x < stride; x++) {
+                const left = x >= channels ? pixels[dst + x - channels] : 0;
+                const up = y > 0 ? pixels[dst - stride + x] : 0;
+                const upLeft = y > 0 && x >= channels ? pixels[dst - stride + x - channels] : 0;
+                let value = raw[src + x];
+                
+                switch (filter) {
+                    case 0: break;
+                    case 1: value += left; break;
+                    case 2: value += up; break;
+                    case 3: value += (left + up) >> 1; break;
+                    case 4: value += paeth(left, up, upLeft); break;
+                    default: throw new Error(`Invalid PNG filter type ${filter}`);
+                }
+                pixels[dst + x] = value & 0xff;
+            }
+        }
+        
+        // Expand to RGBA
+        const data = new Uint8Array(width * height * 4);
+        for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+            const o = i * 4;
+            if (channels >= 3) {
+                data[o] = pixels[p];
+                data[o + 1] = pixels[p + 1];
+                data[o + 2] = pixels[p + 2];
+                data[o + 3] = channels === 4 ? pixels[p + 3] : 255;
+            } else {
+                data[o] = data[o + 1] = data[o + 2] = pixels[p];
+                data[o + 3] = channels === 2 ? pixels[p + 1] : 255;
+            }
+        }
+        
+        return { width, height, data };
+    },
+    
+    // Encode an RGBA image as PNG
+    encode({ width, height, data }) {
+        const stride = width * 4;
+        const raw = Buffer.alloc((stride + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw[y * (stride + 1)] = 0;
+            Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+        }
+        
+        const chunk = (type, body) => {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(body.length);
+            const typed = Buffer.concat([Buffer.from(type, 'ascii'), body]);
+            const crc = Buffer.alloc(4);
+            crc.writeUInt32BE(crc32(typed));
+            return Buffer.concat([length, typed, crc]);
+        };
+        
+        const ihdr = Buffer.alloc(13);
+        ihdr.writeUInt32BE(width, 0);
+        ihdr.writeUInt32BE(height, 4);
+        ihdr[8] = 8;    // bit depth
+        ihdr[9] = 6;    // RGBA
+        ihdr[10] = 0;
+        ihdr[11] = 0;
+        ihdr[12] = 0;
+        
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            chunk('IHDR', ihdr),
+            chunk('IDAT', zlib.deflateSync(raw)),
+            chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+};
+
+/**
+ * Pixel comparison between two decoded images
+ */
+const PixelDiff = {
+    inRegions(x, y, regions) {
+        return regions.some(r => x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height);
+    },
+    
+    // Byte offsets of pixels that differ between two same-sized images, e.g. a
+    // text box shot with and without its glyphs
+    changedPixels(before, after, threshold = 0.1) {
+        if (before.width !== after.width || before.height !== after.height) {
+            throw new Error(`Image sizes differ (${before.width}x${before.height} vs ${after.width}x${after.height})`);
+        }
+        
+        const limit = threshold * 255;
+        const offsets = [];
+        for (let o = 0; o < before.data.length; o += 4) {
+            for (let k = 0; k < 3; k++) {
+                if (Math.abs(before.data[o + k] - after.data[o + k]) > limit) {
+                    offsets.push(o);
+                    break;
+                }
+            }
+        }
+        return offsets;
+    },
+    
+    /**
+     * Compare two RGBA images. `threshold` is the per-channel difference (0-1)
+     * a pixel may have before it counts as changed; pixels inside
+     * `ignoreRegions` ({ x, y, width, height }) are never counted. Images of
+     * different sizes are compared over the larger area, with the missing
+     * part counted as changed.
+     */
+    compare(baseline, current, { threshold = 0.1, ignoreRegions = [] } = {}) {
+        const width = Math.max(baseline.width, current.width);
+        const height = Math.max(baseline.height, current.height);
+        const limit = threshold * 255;
+        const diff = new Uint8Array(width * height * 4);
+        
+        let diffPixels = 0;
+        let ignoredPixels = 0;
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const o = (y * width + x) * 4;
+                const inBaseline = x < baseline.width && y < baseline.height;
+                const inCurrent = x < current.width && y < current.height;
+                const b = (y * baseline.width + x) * 4;
+                const c = (y * current.width + x) * 4;
+                
+                // Faded grayscale copy of the baseline as backdrop for the highlighted delta
+                const gray = inBaseline
+                    ? 0.299 * baseline.data[b] + 0.587 * baseline.data[b + 1] + 0.114 * baseline.data[b + 2]
+                    : 0;
+                const faded = 255 - (255 - gray) * 0.25;
+                
+                if (this.inRegions(x, y, ignoreRegions)) {
+                    ignoredPixels++;
+                    diff[o] = faded * 0.8;
+                    diff[o + 1] = faded * 0.8;
+                    diff[o + 2] = 255;
+                    diff[o + 3] = 255;
+                    continue;
+                }
+                
+                let changed = !inBaseline || !inCurrent;
+                if (!changed) {
+                    for (let k = 0; k < 4; k++) {
+                        if (Math.abs(baseline.data[b + k] - current.data[c + k]) > limit) {
+                            changed = true;
+                            break;
+                        }
+                    }
+                }
+                
+                if (changed) {
+                    diffPixels++;
+                    diff[o] = 255;
+                    diff[o + 1] = 0;
+                    diff[o + 2] = 0;
+                } else {
+                    diff[o] = diff[o + 1] = diff[o + 2] = faded;
+                }
+                diff[o + 3] = 255;
+            }
+        }
+        
+        const comparedPixels = width * height - ignoredPixels;
+        
+        return {
+            width,
+            height,
+            sizeMatches: baseline.width === current.width && baseline.height === current.height,
+            diffPixels,
+            ignoredPixels,
+            diffRatio: comparedPixels > 0 ? diffPixels / comparedPixels : 0,
+            diffImage: { width, height, data: diff }
+        };
+    }
+};
+
+module.exports = {
+    PngUtils,
+    PixelDiff
+};
@@ -0,0 +1,80 @@
+/**
+ * GFV LLC - Inquiry Field Markup
+ * Writes the inquiry form fields into every page from assets/inquiry-schema.js
+ *
+ * Each page keeps its fields between the two marker comments below; the rest of
+ * the form (hidden inputs, error panel, submit) is written by hand. Change the
+ * schema, then run this to rewrite the pages. The drift suite fails while any
+ * page is out of date.
+ *
+ * Usage: node tests/inquiry-fields.js           rewrite the fields in every page
+ *        node tests/inquiry-fields.js --check   list out-of-date pages, exit 1 if any
+ */
+
+const fs = require('fs');
+const path = require('path');
+const InquirySchema = require('../assets/inquiry-schema');
+const config = require('./test-config');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+const START_MARKER = '<!-- inquiry-fields: generated from assets/inquiry-schema.js by tests/inquiry-fields.js -->';
+const END_MARKER = '<!-- /inquiry-fields -->';
+
+// The homepage copies show inline field errors; the inquiry page marks required labels and counts characters
+const targets = [
+    ...config.sitePages.map(sitePage => ({ file: sitePage.file, style: { fieldErrors: true } })),
+    { file: 'assets/contact-form.html', style: { requiredLabels: true, charCount: true, blankLines: true } }
+];
+
+/**
+ * Replace the generated block in a page's source with the schema's current
+ * markup, indented like the start marker. Throws if the markers are missing.
+ */
+function generate(source, style) {
+    const start = source.indexOf(START_MARKER);
+    const end = source.indexOf(END_MARKER, start);
+    if (start === -1 || end === -1) {
+        throw new Error(`Inquiry field markers not found (${START_MARKER} ... ${END_MARKER})`);
+    }
+    
+    const lineStart = source.lastIndexOf('\n', start) + 1;
+    const indent = source.slice(lineStart, start);
+    const lines = InquirySchema.markup(style).map(line => indent + line);
+    
+    return `${source.slice(0, start)}${START_MARKER}\n${lines.join('\n')}\n${indent}${source.slice(end)}`;
+}
+
+/**
+ * Pages whose generated fields differ from the schema, as
+ * [{ file, current, expected }] with the full sources.
+ */
+function stale() {
+    return targets
+        .map(({ file, style }) => {
+            const current = fs.readFileSync(path.join(repoRoot, file), 'utf8');
+            try {
+                return { file, current, expected: generate(current, style) };
+            } catch (error) {
+                throw new Error(`${file}: ${error.message}`);
+            }
+        })
+        .filter(page => page.current !== page.expected);
+}
+
+module.exports = { START_MARKER, END_MARKER, targets, generate, stale };
+
+if (require.main === module) {
+    const outdated = stale();
+    
+    if (process.argv.includes('--check')) {
+        outdated.forEach(page => console.log(`${page.file} is out of date with assets/inquiry-schema.js`));
+        process.exit(outdated.length > 0 ? 1 : 0);
+    }
+    
+    outdated.forEach(page => {
+        fs.writeFileSync(path.join(repoRoot, page.file), page.expected);
+        console.log(`Updated ${page.file}`);
+    });
+    if (outdated.length === 0) console.log('Every page is up to date');
+}
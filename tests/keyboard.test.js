@@ -0,0 +1,266 @@
+/**
+ * GFV LLC - Keyboard Journey Tests
+ * Drives the whole page with Tab alone: reach, order and visible focus at every stop
+ */
+
+const { suite, BrowserUtils, ColorUtils, Assertions, config } = require('./test-utils');
+
+const FOCUSABLE = 'a[href], area[href], button, input, select, textarea, summary, iframe, [tabindex], [contenteditable="true"]';
+
+// Outline that is drawn and differs from the resting state, or a box-shadow that appears on focus
+function focusIndicator(resting, focused) {
+    const outlineDrawn = focused.outlineStyle !== 'none' &&
+        parseFloat(focused.outlineWidth) > 0 &&
+        (ColorUtils.parseColor(focused.outlineColor)?.a ?? 1) > 0;
+    const outlineChanged = outlineDrawn && (!resting ||
+        ['outlineStyle', 'outlineWidth', 'outlineColor'].some(key => resting[key] !== focused[key]));
+    const shadowChanged = focused.boxShadow !== 'none' && (!resting || resting.boxShadow !== focused.boxShadow);
+    
+    return { outline: outlineChanged, boxShadow: shadowChanged, visible: outlineChanged || shadowChanged };
+}
+
+// B comes before A in reading order: entirely above without moving into a column to the
+// right, or on the same row and entirely to the left
+function readsBefore(a, b, tolerance) {
+    const above = b.bottom <= a.top + tolerance && b.left < a.right - tolerance;
+    const sameRow = b.bottom > a.top + tolerance && b.top < a.bottom - tolerance;
+    return above || (sameRow && b.right <= a.left + tolerance);
+}
+
+/**
+ * Tab from the top of the page until focus leaves the document or wraps.
+ * Returns { stops, checkpoints }, where each stop has its resting and focused
+ * styles, document position and a cropped screenshot of the focus state.
+ */
+async function walkJourney(page) {
+    const { maxTabStops, screenshotPadding, checkpoints, reveal = [] } = config.keyboardJourney;
+    
+    // No transitions, so focus styles are final the moment they are read
+    await BrowserUtils.settleForScreenshot(page);
+    
+    // Clicked from script, so neither focus nor the Tab starting point moves into the form
+    await page.evaluate(selectors => {
+        selectors.forEach(selector => document.querySelector(selector)?.click());
+    }, reveal);
+    
+    const start = await page.evaluate((selector, checkpointList) => {
+        window.scrollTo({ top: 0, behavior: 'instant' });
+        document.activeElement?.blur();
+        
+        const styleOf = el => {
+            const styles = getComputedStyle(el);
+            return {
+                outlineStyle: styles.outlineStyle,
+                outlineWidth: styles.outlineWidth,
+                outlineColor: styles.outlineColor,
+                boxShadow: styles.boxShadow
+            };
+        };
+        const shown = el => el.getClientRects().length > 0 && getComputedStyle(el).visibility !== 'hidden';
+        
+        const resting = {};
+        document.querySelectorAll(selector).forEach((el, index) => {
+            el.dataset.gfvKey = String(index);
+            resting[index] = styleOf(el);
+        });
+        
+        return {
+            resting,
+            checkpoints: checkpointList.map(({ label, selector: checkpointSelector, includeHidden }) => ({
+                label,
+                selector: checkpointSelector,
+                keys: Array.from(document.querySelectorAll(checkpointSelector))
+                    .filter(el => includeHidden || shown(el))
+                    .map(el => el.dataset.gfvKey)
+            }))
+        };
+    }, FOCUSABLE, checkpoints);
+    
+    const stops = [];
+    for (let i = 0; i < maxTabStops; i++) {
+        await page.keyboard.press('Tab');
+        await BrowserUtils.waitForScrollIdle(page);
+        
+        const stop = await page.evaluate(padding => {
+            const el = document.activeElement;
+            if (!el || el === document.body || el === document.documentElement) return null;
+            if (el.dataset.gfvVisited) return { wrapped: true };
+            el.dataset.gfvVisited = 'true';
+            
+            const styles = getComputedStyle(el);
+            const rect = el.getBoundingClientRect();
+            const label = (el.getAttribute('aria-label') || el.textContent || el.placeholder || el.name || '')
+                .replace(/\s+/g, ' ').trim().substring(0, 30);
+            
+            return {
+                key: el.dataset.gfvKey ?? null,
+                element: `${el.tagName.toLowerCase()}${el.id ? '#' + el.id : ''} "${label}"`,
+                focused: {
+                    outlineStyle: styles.outlineStyle,
+                    outlineWidth: styles.outlineWidth,
+                    outlineColor: styles.outlineColor,
+                    boxShadow: styles.boxShadow
+                },
+                // Document coordinates, so order compares layout rather than scroll position
+                box: {
+                    left: rect.left + window.scrollX,
+                    top: rect.top + window.scrollY,
+                    right: rect.right + window.scrollX,
+                    bottom: rect.bottom + window.scrollY
+                },
+                fixed: (() => {
+                    for (let node = el; node; node = node.parentElement) {
+                        if (getComputedStyle(node).position === 'fixed') return true;
+                    }
+                    return false;
+                })(),
+                clip: {
+                    x: Math.max(0, rect.left + window.scrollX - padding),
+                    y: Math.max(0, rect.top + window.scrollY - padding),
+                    width: rect.width + padding * 2,
+                    height: rect.height + padding * 2
+                }
+            };
+        }, screenshotPadding);
+        
+        if (!stop || stop.wrapped) break;
+        
+        stop.index = stops.length + 1;
+        stop.resting = stop.key !== null ? start.resting[stop.key] : null;
+        stop.indicator = focusIndicator(stop.resting, stop.focused);
+        try {
+            // Clip is in document coordinates; stay within what is on screen with focus applied
+            stop.screenshot = Buffer.from(await page.screenshot({ type: 'png', clip: stop.clip, captureBeyondViewport: false }));
+        } catch (e) {
+            stop.screenshot = null;
+        }
+        stops.push(stop);
+    }
+    
+    await page.evaluate(() => {
+        document.querySelectorAll('[data-gfv-key]').forEach(el => {
+            delete el.dataset.gfvKey;
+            delete el.dataset.gfvVisited;
+        });
+        document.activeElement?.blur();
+    });
+    
+    return { stops, checkpoints: start.checkpoints };
+}
+
+const runKeyboardTests = suite('Keyboard Journey', ({ test }) => {
+    // The journey is walked once on a shared page, by whichever test needs it first
+    const journeys = new WeakMap();
+    function journeyFor(page) {
+        if (!journeys.has(page)) journeys.set(page, walkJourney(page));
+        return journeys.get(page);
+    }
+    
+    const summarize = stop => ({ index: stop.index, element: stop.element });
+    
+    test('Tab reaches every checkpoint', async ({ page, fail }) => {
+        const { stops, checkpoints } = await journeyFor(page);
+        const reached = new Set(stops.map(s => s.key));
+        
+        const coverage = checkpoints.map(checkpoint => ({
+            label: checkpoint.label,
+            expected: checkpoint.keys.length,
+            reached: checkpoint.keys.filter(key => reached.has(key)).length
+        }));
+        const missing = coverage.filter(c => c.expected === 0 || c.reached < c.expected);
+        const details = { tabStops: stops.length, coverage };
+        
+        if (missing.length > 0) {
+            fail(new Error(`Not reached by keyboard: ${missing.map(c => c.expected === 0
+                ? `${c.label} (none on page)`
+                : `${c.label} (${c.reached}/${c.expected})`).join(', ')}`), details);
+            return;
+        }
+        return details;
+    }, { share: 'journey' });
+    
+    test('Focus order follows visual order', async ({ page, fail }) => {
+        const { stops } = await journeyFor(page);
+        const { orderTolerance } = config.keyboardJourney;
+        
+        // Fixed layers (the nav) sit on top of whatever is scrolled into view, so they are left out of the comparison
+        const inFlow = stops.filter(s => !s.fixed);
+        const jumps = [];
+        for (let i = 1; i < inFlow.length; i++) {
+            if (readsBefore(inFlow[i - 1].box, inFlow[i].box, orderTolerance)) {
+                jumps.push({ from: summarize(inFlow[i - 1]), to: summarize(inFlow[i]) });
+            }
+        }
+        
+        if (jumps.length > 0) {
+            fail(new Error(`${jumps.length} backward jump(s): ` +
+                jumps.slice(0, 3).map(j => `${j.from.element} -> ${j.to.element}`).join('; ')), { jumps });
+            return;
+        }
+        return { compared: inFlow.length, order: stops.map(s => s.element) };
+    }, { share: 'journey' });
+    
+    test('Every stop shows a visible focus indicator', async ({ page, fail, attach }) => {
+        const { stops } = await journeyFor(page);
+        Assertions.greaterThan(stops.length, 0, 'Tab should move focus into the page');
+        
+        stops.filter(s => s.screenshot).forEach(stop => {
+            attach({
+                type: 'image',
+                label: `${stop.index}. ${stop.element}${stop.indicator.visible ? '' : ' (no indicator)'}`,
+                contentType: 'image/png',
+                data: stop.screenshot.toString('base64')
+            });
+        });
+        
+        const invisible = stops.filter(s => !s.indicator.visible);
+        const details = {
+            tabStops: stops.length,
+            withOutline: stops.filter(s => s.indicator.outline).length,
+            withBoxShadow: stops.filter(s => s.indicator.boxShadow).length,
+            missing: invisible.map(s => ({ ...summarize(s), focused: s.focused, resting: s.resting }))
+        };
+        
+        if (invisible.length > 0) {
+            fail(new Error(`${invisible.length} stop(s) without a visible focus indicator: ` +
+                invisible.slice(0, 3).map(s => s.element).join(', ')), details);
+            return;
+        }
+        return details;
+    }, { share: 'journey', timeout: 60000 });
+    
+    test('Skip link moves focus into main content', async ({ page }) => {
+        await page.evaluate(() => {
+            window.scrollTo({ top: 0, behavior: 'instant' });
+            document.activeElement?.blur();
+        });
+        
+        await page.keyboard.press('Tab');
+        const first = await page.evaluate(() => document.activeElement?.className || '');
+        Assertions.isTrue(first.includes('skip-link'), `First Tab should focus the skip link, focused "${first}"`);
+        
+        await page.keyboard.press('Enter');
+        await BrowserUtils.waitForScrollIdle(page);
+        await page.keyboard.press('Tab');
+        
+        const next = await page.evaluate(() => {
+            const el = document.activeElement;
+            return {
+                inMain: !!el?.closest('main'),
+                element: `${el?.tagName.toLowerCase()} "${(el?.textContent || '').trim().substring(0, 30)}"`
+            };
+        });
+        Assertions.isTrue(next.inMain, `Tab after the skip link should land inside <main>, landed on ${next.element}`);
+        
+        return next;
+    });
+});
+
+module.exports = { runKeyboardTests };
+
+if (require.main === module) {
+    runKeyboardTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
@@ -0,0 +1,140 @@
+/**
+ * GFV LLC - Link Resolvers
+ * Answer "where does this link end up" either over the network or from scripted statuses
+ */
+
+const fs = require('fs');
+const config = require('./test-config');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Follow a link hop by hop. `step(url)` returns { status, location } for a
+ * single request. Resolves to { url, status, finalUrl, chain, error } where
+ * chain lists every hop ({ url, status }) in order. Once `signal` aborts, no
+ * further hop is requested.
+ */
+async function followRedirects(url, step, maxRedirects, signal = null) {
+    const chain = [];
+    const visited = new Set();
+    let current = url;
+    
+    while (true) {
+        if (signal && signal.aborted) {
+            return { url, status: null, finalUrl: current, chain, error: 'Cancelled' };
+        }
+        if (visited.has(current)) {
+            return { url, status: null, finalUrl: current, chain, error: 'Redirect loop' };
+        }
+        visited.add(current);
+        
+        let hop;
+        try {
+            hop = await step(current);
+        } catch (e) {
+            return { url, status: null, finalUrl: current, chain, error: e.message };
+        }
+        if (hop.error) {
+            return { url, status: null, finalUrl: current, chain, error: hop.error, unscripted: !!hop.unscripted };
+        }
+        
+        chain.push({ url: current, status: hop.status });
+        
+        if (!REDIRECT_STATUSES.includes(hop.status) || !hop.location) {
+            return { url, status: hop.status, finalUrl: current, chain, error: null };
+        }
+        if (chain.length > maxRedirects) {
+            return { url, status: hop.status, finalUrl: current, chain, error: `More than ${maxRedirects} redirects` };
+        }
+        current = new URL(hop.location, current).href;
+    }
+}
+
+/**
+ * Requests each link for real. HEAD first; servers that refuse HEAD get a GET.
+ */
+class LiveResolver {
+    constructor({ timeout = config.links.timeout, maxRedirects = config.links.maxRedirects } = {}) {
+        this.timeout = timeout;
+        this.maxRedirects = maxRedirects;
+    }
+    
+    async request(url, method, signal) {
+        const timeout = AbortSignal.timeout(this.timeout);
+        const response = await fetch(url, {
+            method,
+            redirect: 'manual',
+            signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+            headers: { 'User-Agent': 'GFV-LinkCheck/1.0' }
+        });
+        // Only the status line matters - do not download page bodies
+        if (response.body) response.body.cancel().catch(() => {});
+        return { status: response.status, location: response.headers.get('location') };
+    }
+    
+    async step(url, signal) {
+        const head = await this.request(url, 'HEAD', signal);
+        if (head.status === 405 || head.status === 501) {
+            return this.request(url, 'GET', signal);
+        }
+        return head;
+    }
+    
+    // `signal` cancels the request in flight and any hops still to follow
+    resolve(url, { signal = null } = {}) {
+        return followRedirects(url, hopUrl => this.step(hopUrl, signal), this.maxRedirects, signal);
+    }
+}
+
+/**
+ * Answers from a script of { [url]: { status, location } } so runs are
+ * repeatable and need no network. Links missing from the script are
+ * reported as unscripted rather than guessed.
+ */
+class ScriptedResolver {
+    constructor(script = {}, { maxRedirects = config.links.maxRedirects } = {}) {
+        this.script = script;
+        this.maxRedirects = maxRedirects;
+    }
+    
+    static fromFile(file = config.links.fixtures) {
+        return new ScriptedResolver(JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    
+    lookup(url) {
+        // "https://example.com" and "https://example.com/" are the same link
+        const alternate = url.endsWith('/') ? url.slice(0, -1) : `${url}/`;
+        return this.script[url] || this.script[alternate] || null;
+    }
+    
+    resolve(url, { signal = null } = {}) {
+        return followRedirects(url, hopUrl => {
+            const entry = this.lookup(hopUrl);
+            if (!entry) return { error: `No scripted status for ${hopUrl}`, unscripted: true };
+            if (entry.error) return { error: entry.error };
+            return { status: entry.status, location: entry.location || null };
+        }, this.maxRedirects, signal);
+    }
+}
+
+const Resolvers = {
+    live: () => new LiveResolver(),
+    scripted: () => ScriptedResolver.fromFile()
+};
+
+// Hermetic runs never touch the network, so they check links against the script
+function createResolver(name = config.links.resolver || (config.network.mode === 'live' ? 'live' : 'scripted')) {
+    const factory = Resolvers[name];
+    if (!factory) {
+        throw new Error(`Unknown link resolver "${name}" (expected one of: ${Object.keys(Resolvers).join(', ')})`);
+    }
+    return factory();
+}
+
+module.exports = {
+    LiveResolver,
+    ScriptedResolver,
+    Resolvers,
+    createResolver,
+    followRedirects
+};
@@ -0,0 +1,208 @@
+/**
+ * GFV LLC - Link Verification
+ * Every link across the site pages: allowlisted domains, reachability and redirect chains
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { suite, config } = require('./test-utils');
+const { createResolver } = require('./link-resolvers');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+// The site pages plus the standalone inquiry form
+const linkedPages = [
+    ...config.sitePages.map(p => ({ file: p.file, url: p.url })),
+    { file: 'assets/contact-form.html', url: config.targets.contactForm }
+];
+
+// Worst case for one link: HEAD then GET on every hop, each waiting out config.links.timeout.
+// External hrefs are counted in the page files up front, since the suite needs its timeout before any page loads.
+function externalLinksTimeout() {
+    const perLink = config.links.timeout * 2 * (config.links.maxRedirects + 1);
+    const hrefs = new Set();
+    linkedPages.forEach(linkedPage => {
+        const html = fs.readFileSync(path.join(repoRoot, linkedPage.file), 'utf8');
+        (html.match(/href="(https?:)?\/\/[^"]+"/gi) || []).forEach(href => hrefs.add(href));
+    });
+    const rounds = Math.max(1, Math.ceil(hrefs.size / config.links.concurrency));
+    return config.timeouts.test + rounds * perLink;
+}
+
+function isAllowed(hostname) {
+    return config.externalDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+
+// Raw href -> 'external', 'anchor', 'internal' or null for schemes that are not links to check.
+// Protocol-relative hrefs (//host/path) leave the site just like absolute ones.
+function classify(href) {
+    if (/^(https?:)?\/\//i.test(href)) return 'external';
+    if (href.startsWith('#')) return href.length > 1 ? 'anchor' : null;
+    if (/^(mailto|tel|javascript|data):/i.test(href)) return null;
+    return 'internal';
+}
+
+// The site is served over https, so protocol-relative links are requested that way
+function absoluteUrl(href) {
+    return href.startsWith('//') ? `https:${href}` : href;
+}
+
+// Site-relative links point into the repo the way GitHub Pages serves it
+function internalFile(href, pageFile) {
+    const pathname = decodeURIComponent(href.split(/[?#]/)[0]);
+    const base = pathname.startsWith('/') ? repoRoot : path.dirname(path.join(repoRoot, pageFile));
+    const resolved = path.join(base, pathname);
+    return pathname.endsWith('/') || pathname === '' ? path.join(resolved, 'index.html') : resolved;
+}
+
+const runLinkTests = suite('Link Verification', ({ test }) => {
+    // Links are collected once, by whichever test needs them first
+    let collected = null;
+    async function collectLinks(page) {
+        if (collected) return collected;
+        
+        collected = [];
+        for (const linkedPage of linkedPages) {
+            await page.goto(linkedPage.url, { waitUntil: 'domcontentloaded', timeout: config.timeouts.navigation });
+            const found = await page.evaluate(() => [
+                ...Array.from(document.querySelectorAll('a[href]')).map(a => ({
+                    kind: 'link',
+                    href: a.getAttribute('href'),
+                    text: (a.textContent || a.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim().slice(0, 60),
+                    anchorExists: a.getAttribute('href').startsWith('#')
+                        ? !!document.getElementById(decodeURIComponent(a.getAttribute('href').slice(1)))
+                        : null
+                })),
+                ...Array.from(document.querySelectorAll('form[action]')).map(form => ({
+                    kind: 'form',
+                    href: form.getAttribute('action'),
+                    text: form.id || form.className,
+                    anchorExists: null
+                }))
+            ]);
+            found.forEach(link => collected.push({ ...link, page: linkedPage.file, type: classify(link.href) }));
+        }
+        return collected;
+    }
+    
+    test('Links collected from every page', async ({ page, fail }) => {
+        const links = await collectLinks(page);
+        const perPage = Object.fromEntries(linkedPages.map(p => [p.file, links.filter(l => l.page === p.file).length]));
+        const empty = Object.entries(perPage).filter(([, count]) => count === 0).map(([file]) => file);
+        
+        if (empty.length > 0) {
+            fail(new Error(`No links found on ${empty.join(', ')}`), perPage);
+            return;
+        }
+        return perPage;
+    });
+    
+    test('External domains are on the allowlist', async ({ page, fail }) => {
+        const links = (await collectLinks(page)).filter(l => l.type === 'external');
+        const outside = links.filter(l => !isAllowed(new URL(absoluteUrl(l.href)).hostname));
+        
+        if (outside.length > 0) {
+            const domains = [...new Set(outside.map(l => new URL(absoluteUrl(l.href)).hostname))];
+            fail(new Error(`${domains.length} domain(s) not in config.externalDomains: ${domains.join(', ')}`), {
+                domains,
+                links: outside.map(l => ({ href: l.href, page: l.page, text: l.text }))
+            });
+            return;
+        }
+        return { checked: links.length, allowlist: config.externalDomains };
+    });
+    
+    test('Allowlisted domains are still linked', async ({ page, warn }) => {
+        const hostnames = (await collectLinks(page))
+            .filter(l => l.type === 'external')
+            .map(l => new URL(absoluteUrl(l.href)).hostname);
+        const unused = config.externalDomains.filter(domain =>
+            !hostnames.some(host => host === domain || host.endsWith(`.${domain}`)));
+        
+        if (unused.length > 0) {
+            warn(`Allowlisted but never linked: ${unused.join(', ')}`, { unused });
+            return;
+        }
+        return { domains: config.externalDomains.length };
+    });
+    
+    test('In-page anchors and local links resolve', async ({ page, fail }) => {
+        const links = await collectLinks(page);
+        const missingAnchors = links.filter(l => l.type === 'anchor' && !l.anchorExists);
+        const missingFiles = links.filter(l => l.type === 'internal' && !fs.existsSync(internalFile(l.href, l.page)));
+        
+        if (missingAnchors.length > 0 || missingFiles.length > 0) {
+            fail(new Error(`${missingAnchors.length} broken anchor(s), ${missingFiles.length} missing local file(s)`), {
+                missingAnchors: missingAnchors.map(l => ({ href: l.href, page: l.page })),
+                missingFiles: missingFiles.map(l => ({ href: l.href, page: l.page }))
+            });
+            return;
+        }
+        return {
+            anchors: links.filter(l => l.type === 'anchor').length,
+            localLinks: links.filter(l => l.type === 'internal').length
+        };
+    });
+    
+    // One result per external link so the report shows each status and redirect chain
+    test('External links are reachable', async ({ page, results, signal }) => {
+        const resolver = createResolver();
+        const links = (await collectLinks(page)).filter(l => l.type === 'external' && l.kind === 'link');
+        const byUrl = new Map();
+        links.forEach(l => {
+            const url = absoluteUrl(l.href);
+            if (!byUrl.has(url)) byUrl.set(url, []);
+            byUrl.get(url).push(`${l.page}: "${l.text}"`);
+        });
+        
+        function record(url, foundOn, resolved) {
+            const name = `Link ${url}`;
+            const details = {
+                status: resolved.status,
+                finalUrl: resolved.finalUrl,
+                chain: resolved.chain,
+                foundOn
+            };
+            const permanent = resolved.chain.some(hop => hop.status === 301 || hop.status === 308);
+            
+            if (resolved.unscripted) {
+                results.warn(name, `${resolved.error} - add it to ${path.relative(repoRoot, config.links.fixtures)}`, details);
+            } else if (resolved.error) {
+                results.fail(name, new Error(resolved.error), details);
+            } else if (resolved.status >= 400) {
+                results.fail(name, new Error(`HTTP ${resolved.status}`), details);
+            } else if (permanent) {
+                results.warn(name, `Permanently redirects to ${resolved.finalUrl} - link the final URL`, details);
+            } else {
+                results.pass(name, details);
+            }
+        }
+        
+        // A few at a time; each result is recorded as soon as its link settles, so a slow link
+        // never holds back the ones already answered. Durations are wall time between results.
+        // When the test times out, requests in flight are cancelled and nothing more is recorded.
+        const queue = Array.from(byUrl);
+        const worker = async () => {
+            while (queue.length > 0 && !signal.aborted) {
+                const [url, foundOn] = queue.shift();
+                const resolved = await resolver.resolve(url, { signal });
+                if (signal.aborted) return;
+                record(url, foundOn, resolved);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(config.links.concurrency, queue.length) }, worker));
+        
+        if (byUrl.size === 0) {
+            results.skip('External links are reachable', 'No external links found');
+        }
+    }, { timeout: externalLinksTimeout() });
+}, { url: null });
+
+module.exports = { runLinkTests };
+
+if (require.main === module) {
+    runLinkTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
@@ -0,0 +1,174 @@
+/**
+ * GFV LLC - Mock Form Endpoint
+ * Local stand-in for Formspree with scripted responses, used by the submission tests
+ */
+
+const http = require('http');
+
+/**
+ * Response scripts, one per submission:
+ *   { status, body }   answer with this status (default 200) and JSON/HTML body
+ *   { delay: ms }      answer only after a pause
+ *   { hang: true }     never answer (the request stays open until stop())
+ *   { drop: true }     destroy the connection without a response
+ */
+const Responses = {
+    ok: () => ({ status: 200, body: { ok: true, next: '/thanks' } }),
+    validationError: (field = 'email', message = 'should be an email') => ({
+        status: 422,
+        body: { error: 'Validation errors', errors: [{ field, code: 'TYPE_EMAIL', message }] }
+    }),
+    serverError: () => ({ status: 500, body: { error: 'Internal server error' } }),
+    slow: (delay, response = Responses.ok()) => ({ ...response, delay }),
+    hang: () => ({ hang: true }),
+    drop: () => ({ drop: true })
+};
+
+function parseUrlEncoded(raw) {
+    return Object.fromEntries(new URLSearchParams(raw));
+}
+
+// Text fields only - the site's forms have no file inputs
+function parseMultipart(raw, boundary) {
+    const fields = {};
+    raw.split(`--${boundary}`).forEach(part => {
+        const match = part.match(/name="([^"]*)"[^\r\n]*\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*)\r\n$/);
+        if (match) fields[match[1]] = match[2];
+    });
+    return fields;
+}
+
+function parseBody(raw, contentType = '') {
+    if (contentType.startsWith('multipart/form-data')) {
+        const boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+        return boundary ? parseMultipart(raw, boundary[1] || boundary[2]) : {};
+    }
+    if (contentType.startsWith('application/json')) {
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return {};
+        }
+    }
+    return parseUrlEncoded(raw);
+}
+
+// Native form posts get a page back, fetch() calls with Accept: application/json get JSON
+function renderBody(request, status, body) {
+    if ((request.headers.accept || '').includes('application/json')) {
+        return { contentType: 'application/json', content: JSON.stringify(body ?? {}) };
+    }
+    const title = status < 400 ? 'Thanks!' : `Error ${status}`;
+    return {
+        contentType: 'text/html',
+        content: `<!DOCTYPE html><html><head><title>${title}</title></head><body><h1>${title}</h1></body></html>`
+    };
+}
+
+class MockFormServer {
+    constructor() {
+        this.server = null;
+        this.origin = null;
+        this.scripts = new Map();
+        this.submissions = [];
+        this.sockets = new Set();
+    }
+    
+    async start() {
+        this.server = http.createServer((request, response) => this.handle(request, response));
+        this.server.on('connection', socket => {
+            this.sockets.add(socket);
+            socket.on('close', () => this.sockets.delete(socket));
+        });
+        
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(0, '127.0.0.1', resolve);
+        });
+        this.origin = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+    
+    // Open connections (hung requests included) are cut so close() cannot wait on them
+    async stop() {
+        if (!this.server) return;
+        this.sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+    
+    // Each test uses its own form id so scripts and submissions never mix
+    endpoint(formId) {
+        return `${this.origin}/f/${formId}`;
+    }
+    
+    // Queue responses for the next submissions to formId (then 200 again)
+    script(formId, ...responses) {
+        this.scripts.set(formId, [...(this.scripts.get(formId) || []), ...responses]);
+    }
+    
+    submissionsFor(formId) {
+        return this.submissions.filter(s => s.formId === formId);
+    }
+    
+    handle(request, response) {
+        const cors = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Accept, Content-Type',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        };
+        
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, cors);
+            response.end();
+            return;
+        }
+        
+        const match = request.url.match(/^\/f\/([^/?#]+)/);
+        if (!match || request.method !== 'POST') {
+            response.writeHead(404, { ...cors, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Form not found' }));
+            return;
+        }
+        
+        const formId = match[1];
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            this.submissions.push({
+                formId,
+                receivedAt: Date.now(),
+                headers: request.headers,
+                fields: parseBody(raw, request.headers['content-type'])
+            });
+            
+            const queue = this.scripts.get(formId) || [];
+            const script = queue.shift() || Responses.ok();
+            
+            if (script.drop) {
+                request.socket.destroy();
+                return;
+            }
+            if (script.hang) return;
+            
+            const respond = () => {
+                const status = script.status || 200;
+                const { contentType, content } = renderBody(request, status, script.body);
+                response.writeHead(status, { ...cors, 'Content-Type': contentType });
+                response.end(content);
+            };
+            
+            if (script.delay) {
+                setTimeout(respond, script.delay);
+            } else {
+                respond();
+            }
+        });
+    }
+}
+
+module.exports = {
+    MockFormServer,
+    Responses
+};
@@ -0,0 +1,144 @@
+/**
+ * GFV LLC - Reduced Motion Tests
+ * With prefers-reduced-motion emulated, content is in place and nothing moves
+ */
+
+const { suite, BrowserUtils, Assertions, config } = require('./test-utils');
+
+const REVEAL_TARGETS = '.service-card, .portfolio-card, .process-step';
+
+async function emulateMotion(page, value) {
+    await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value }]);
+}
+
+// Let the page paint twice so style changes and scroll jumps have landed
+async function nextFrames(page) {
+    await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve))));
+}
+
+// Transitions and animations still to play that last longer than the 0.01ms the CSS allows
+async function pendingMotion(page) {
+    return page.evaluate(() => document.getAnimations()
+        .filter(animation => animation.playState !== 'finished' && animation.effect &&
+            animation.effect.getComputedTiming().endTime > 1)
+        .map(animation => {
+            const target = animation.effect.target;
+            return {
+                element: target ? `${target.tagName.toLowerCase()}${target.className ? '.' + String(target.className).trim().split(/\s+/).join('.') : ''}` : null,
+                property: animation.transitionProperty || animation.animationName || animation.id || 'script',
+                endTime: Math.round(animation.effect.getComputedTiming().endTime)
+            };
+        }));
+}
+
+async function hiddenRevealTargets(page) {
+    return page.$$eval(REVEAL_TARGETS, elements => elements
+        .map(el => ({
+            element: `${el.className} "${(el.querySelector('h3, h4')?.textContent || '').trim().substring(0, 30)}"`,
+            opacity: getComputedStyle(el).opacity,
+            transform: getComputedStyle(el).transform
+        }))
+        .filter(state => state.opacity !== '1' || state.transform !== 'none'));
+}
+
+const runReducedMotionTests = suite('Reduced Motion', ({ test, beforeEach }) => {
+    // Every test starts from a fresh load with the preference already set
+    beforeEach(async ({ page, url }) => {
+        await emulateMotion(page, 'reduce');
+        await page.goto(url, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+    });
+    
+    test('Cards are visible without scrolling', async ({ page, fail }) => {
+        const total = await page.$$eval(REVEAL_TARGETS, elements => elements.length);
+        const hidden = await hiddenRevealTargets(page);
+        
+        Assertions.greaterThan(total, 0, 'Page should have reveal targets');
+        if (hidden.length > 0) {
+            fail(new Error(`${hidden.length} of ${total} card(s) start hidden or offset`), { hidden });
+            return;
+        }
+        return { cards: total };
+    });
+    
+    test('Nothing animates while scrolling through the page', async ({ page, fail }) => {
+        const motion = [];
+        const height = await page.evaluate(() => document.documentElement.scrollHeight);
+        const step = config.viewports.desktop.height / 2;
+        
+        for (let y = 0; y <= height; y += step) {
+            await page.evaluate(top => window.scrollTo({ top, behavior: 'instant' }), y);
+            await nextFrames(page);
+            (await pendingMotion(page)).forEach(m => motion.push({ ...m, scrollY: y }));
+        }
+        const hidden = await hiddenRevealTargets(page);
+        
+        if (motion.length > 0 || hidden.length > 0) {
+            fail(new Error(`${motion.length} animation(s) played, ${hidden.length} card(s) not in place`), {
+                motion: motion.slice(0, 20),
+                hidden
+            });
+            return;
+        }
+        return { scrolledTo: height, checkpoints: Math.floor(height / step) + 1 };
+    });
+    
+    test('Nav links jump to their section without smooth scrolling', async ({ page }) => {
+        const scrollBehavior = await page.evaluate(() => getComputedStyle(document.documentElement).scrollBehavior);
+        Assertions.equals(scrollBehavior, 'auto', 'html scroll-behavior under reduced motion');
+        
+        await page.click('.nav-links a[href="#process"]');
+        await nextFrames(page);
+        const afterTwoFrames = await page.evaluate(() => window.scrollY);
+        await BrowserUtils.waitForScrollIdle(page);
+        const settled = await page.evaluate(() => window.scrollY);
+        
+        Assertions.greaterThan(settled, 0, 'Clicking the nav link should scroll to #process');
+        Assertions.equals(afterTwoFrames, settled, 'Scroll should land at once, not animate');
+        
+        return { scrollBehavior, landedAt: settled };
+    });
+    
+    test('Escape returns to top instantly', async ({ page }) => {
+        await page.evaluate(() => window.scrollTo({ top: document.documentElement.scrollHeight, behavior: 'instant' }));
+        await nextFrames(page);
+        
+        await page.keyboard.press('Escape');
+        await nextFrames(page);
+        const scrollY = await page.evaluate(() => window.scrollY);
+        
+        Assertions.equals(scrollY, 0, 'Escape should jump straight to the top');
+        return { scrollY };
+    });
+    
+    test('Switching to reduced motion mid-visit shows pending content', async ({ page, fail }) => {
+        await emulateMotion(page, 'no-preference');
+        await page.reload({ waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+        const hiddenBefore = await hiddenRevealTargets(page);
+        
+        Assertions.greaterThan(hiddenBefore.length, 0, 'Cards below the fold should wait to be revealed with motion allowed');
+        
+        await emulateMotion(page, 'reduce');
+        await nextFrames(page);
+        const hiddenAfter = await hiddenRevealTargets(page);
+        const motion = await pendingMotion(page);
+        
+        if (hiddenAfter.length > 0 || motion.length > 0) {
+            fail(new Error(`${hiddenAfter.length} card(s) still hidden, ${motion.length} animation(s) pending after the switch`), {
+                hiddenBefore: hiddenBefore.length,
+                hiddenAfter,
+                motion
+            });
+            return;
+        }
+        return { revealed: hiddenBefore.length };
+    });
+});
+
+module.exports = { runReducedMotionTests };
+
+if (require.main === module) {
+    runReducedMotionTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
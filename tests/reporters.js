@@ -0,0 +1,268 @@
+/**
+ * GFV LLC - Report Serializers
+ * Machine-readable output formats for run-all-tests.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./test-config');
+const { renderHtmlReport } = require('./html-report');
+
+const repoRoot = path.resolve(__dirname, '..');
+
+// Repo-relative path for a file:// target, used as an artifact location
+function toArtifactUri(target) {
+    if (!target) return null;
+    if (!target.startsWith('file://')) return target;
+    const filePath = target.replace(/^file:\/\//, '');
+    return path.relative(repoRoot, filePath).replace(/\\/g, '/');
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toSeconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Suite name qualified with the page it ran against
+function suiteLabel(result) {
+    return result.target ? `${result.target} › ${result.suite}` : result.suite;
+}
+
+/**
+ * Copy of the results with every attachment's base64 data written to a file
+ * in `dir` (emptied first) and replaced by its repo-relative path.
+ */
+function writeAttachments(allResults, dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    
+    return allResults.map(result => ({
+        ...result,
+        tests: result.tests.map(test => {
+            if (!test.attachments) return test;
+            
+            const attachments = test.attachments.map((attachment, index) => {
+                if (!attachment.data) return attachment;
+                
+                const { data, ...rest } = attachment;
+                const extension = (attachment.contentType || '').split('/')[1]?.split('+')[0] || 'bin';
+                const file = path.join(dir, `${slugify(suiteLabel(result))}--${slugify(test.name)}-${index + 1}.${extension}`);
+                fs.mkdirSync(dir, { recursive: true });
+                fs.writeFileSync(file, Buffer.from(data, 'base64'));
+                return { ...rest, file: path.relative(repoRoot, file).replace(/\\/g, '/') };
+            });
+            return { ...test, attachments };
+        })
+    }));
+}
+
+// Plain-text rendering of a test's extra fields (no ANSI codes)
+function describeTest(test) {
+    const lines = [];
+    if (test.error) lines.push(test.error);
+    if (test.warning) lines.push(`Warning: ${test.warning}`);
+    if (test.reason) lines.push(`Reason: ${test.reason}`);
+    if (test.details !== null && test.details !== undefined) {
+        lines.push('Details: ' + JSON.stringify(test.details, null, 2));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Reporter registry - each reporter turns the collected suite summaries
+ * into a string. `summary` is the object returned by printFinalReport.
+ */
+const Reporters = {
+    text: {
+        extension: '.txt',
+        format(allResults, summary) {
+            const lines = ['GFV LLC - Web UX Test Report', ''];
+            
+            allResults.forEach(result => {
+                lines.push(`${suiteLabel(result)} (${result.passed}/${result.total} passed, ${result.warnings} warnings, ${result.failed} failed)`);
+                result.tests.forEach(test => {
+                    lines.push(`  [${test.status}] ${test.name}`);
+                    const description = describeTest(test);
+                    if (description) {
+                        description.split('\n').forEach(line => lines.push(`      ${line}`));
+                    }
+                });
+                lines.push('');
+            });
+            
+            lines.push(`Total: ${summary.totalTests}, Passed: ${summary.totalPassed}, Failed: ${summary.totalFailed}, ` +
+                `Warnings: ${summary.totalWarnings}, Skipped: ${summary.totalSkipped}`);
+            return lines.join('\n') + '\n';
+        }
+    },
+    
+    json: {
+        extension: '.json',
+        // Screenshots are written next to the report instead of inline, so the JSON stays readable
+        format(allResults, summary) {
+            return JSON.stringify({
+                generatedAt: new Date().toISOString(),
+                summary,
+                suites: writeAttachments(allResults, config.reports.attachments)
+            }, null, 2) + '\n';
+        }
+    },
+    
+    junit: {
+        extension: '.xml',
+        format(allResults, summary) {
+            const totalDuration = allResults.reduce((sum, r) => sum + (r.duration || 0), 0);
+            const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+            
+            lines.push(`<testsuites name="GFV LLC Web UX" tests="${summary.totalTests}" failures="${summary.totalFailed}" ` +
+                `skipped="${summary.totalSkipped}" time="${toSeconds(totalDuration)}">`);
+            
+            allResults.forEach(result => {
+                lines.push(`  <testsuite name="${escapeXml(suiteLabel(result))}" tests="${result.total}" failures="${result.failed}" ` +
+                    `skipped="${result.skipped}" time="${toSeconds(result.duration)}">`);
+                
+                result.tests.forEach(test => {
+                    lines.push(`    <testcase name="${escapeXml(test.name)}" classname="${escapeXml(suiteLabel(result))}" time="${toSeconds(test.duration)}">`);
+                    
+                    if (test.status === 'FAIL') {
+                        lines.push(`      <failure message="${escapeXml(test.error)}">${escapeXml(describeTest(test))}</failure>`);
+                    } else if (test.status === 'SKIP') {
+                        lines.push(`      <skipped message="${escapeXml(test.reason)}"/>`);
+                    }
+                    
+                    // JUnit has no warning state - keep warnings and details visible as output
+                    const output = test.status === 'WARN'
+                        ? `WARN: ${describeTest(test)}`
+                        : test.status === 'PASS' ? describeTest(test) : '';
+                    if (output) {
+                        lines.push(`      <system-out>${escapeXml(output)}</system-out>`);
+                    }
+                    
+                    lines.push('    </testcase>');
+                });
+                
+                lines.push('  </testsuite>');
+            });
+            
+            lines.push('</testsuites>');
+            return lines.join('\n') + '\n';
+        }
+    },
+    
+    sarif: {
+        extension: '.sarif',
+        format(allResults) {
+            const rules = [];
+            const ruleIndex = new Map();
+            const sarifResults = [];
+            
+            const levels = { FAIL: 'error', WARN: 'warning', PASS: 'none', SKIP: 'none' };
+            const kinds = { FAIL: 'fail', WARN: 'review', PASS: 'pass', SKIP: 'notApplicable' };
+            
+            allResults.forEach(result => {
+                result.tests.forEach(test => {
+                    // Rules are shared across targets; the location says which page the result is for
+                    const ruleId = `${slugify(result.suite)}/${slugify(test.name)}`;
+                    if (!ruleIndex.has(ruleId)) {
+                        ruleIndex.set(ruleId, rules.length);
+                        rules.push({
+                            id: ruleId,
+                            name: test.name,
+                            shortDescription: { text: test.name },
+                            properties: { suite: result.suite, target: result.target || null }
+                        });
+                    }
+                    
+                    const message = test.error || test.warning || test.reason || test.name;
+                    // Site-wide suites check every page at once, so their results point at no single file
+                    const artifact = result.target ? toArtifactUri(result.targetUrl) : null;
+                    
+                    sarifResults.push({
+                        ruleId,
+                        ruleIndex: ruleIndex.get(ruleId),
+                        kind: kinds[test.status] || 'informational',
+                        level: levels[test.status] || 'none',
+                        message: { text: message },
+                        locations: artifact ? [{
+                            physicalLocation: { artifactLocation: { uri: artifact } }
+                        }] : [],
+                        properties: {
+                            suite: result.suite,
+                            target: result.target || null,
+                            status: test.status,
+                            durationMs: test.duration,
+                            details: test.details ?? null
+                        }
+                    });
+                });
+            });
+            
+            return JSON.stringify({
+                $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+                version: '2.1.0',
+                runs: [{
+                    tool: {
+                        driver: {
+                            name: 'GFV LLC Web UX Test Suite',
+                            informationUri: 'https://www.goodflippinvibes.com',
+                            rules
+                        }
+                    },
+                    results: sarifResults
+                }]
+            }, null, 2) + '\n';
+        }
+    },
+    
+    html: {
+        extension: '.html',
+        format: renderHtmlReport
+    }
+};
+
+/**
+ * Serialize results with the named reporter and write them to `output`
+ * (or stdout when no output file is given). Returns the written path.
+ */
+function writeReport(reporterName, allResults, summary, output = null) {
+    const reporter = Reporters[reporterName];
+    if (!reporter) {
+        throw new Error(`Unknown reporter "${reporterName}" (expected one of: ${Object.keys(Reporters).join(', ')})`);
+    }
+    
+    const content = reporter.format(allResults, summary);
+    
+    if (!output) {
+        process.stdout.write(content);
+        return null;
+    }
+    
+    const outputPath = path.resolve(output);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content);
+    return outputPath;
+}
+
+module.exports = {
+    Reporters,
+    writeReport,
+    suiteLabel,
+    escapeXml,
+    slugify,
+    toArtifactUri
+};
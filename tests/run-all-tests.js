@@ -1,18 +1,43 @@
 /**
  * GFV LLC - Master Test Runner
  * Runs all test suites and generates comprehensive reports
+ *
+ * Usage: node tests/run-all-tests.js [--suite a,b] [--target index,main] [--tag a,b] [--quiet]
+ *        [--reporter text|json|junit|sarif|html] [--output <file>]
+ *        [--html <file>] [--no-html]
+ *        [--compare <baseline.json|latest>]
+ *        [--save-baseline] (also keep this run as latest.json, the baseline --compare latest reads)
+ *        [--no-save-baseline] (do not save this run at all)
+ *        [--approve]   (store current screenshots and accessibility trees as the approved baselines)
+ *        [--parallel N] (run up to N suites and page groups at once)
+ *        [--network hermetic|live] (serve third-party requests from fixtures, or use the network)
  */
 
 const path = require('path');
+const { Reporters, writeReport, suiteLabel } = require('./reporters');
+const { writeHtmlReport } = require('./html-report');
+const { saveBaseline, loadBaseline, compareRuns } = require('./baseline');
+const config = require('./test-config');
+const { BrowserUtils, runOrdered } = require('./test-utils');
+const { BrowserPool } = require('./browser-pool');
 
 // Import all test modules
 const { runStructureTests } = require('./structure.test');
 const { runNavigationTests } = require('./navigation.test');
 const { runFormTests } = require('./forms.test');
+const { runSubmissionTests } = require('./submission.test');
 const { runResponsiveTests } = require('./responsive.test');
 const { runAccessibilityTests } = require('./accessibility.test');
+const { runA11yTreeTests } = require('./a11y-tree.test');
+const { runKeyboardTests } = require('./keyboard.test');
+const { runReducedMotionTests } = require('./reduced-motion.test');
+const { runWizardTests } = require('./wizard.test');
+const { runDraftTests } = require('./drafts.test');
 const { runAnimationTests } = require('./animations.test');
 const { runCompatibilityTests } = require('./compatibility.test');
+const { runDriftTests } = require('./drift.test');
+const { runVisualTests } = require('./visual.test');
+const { runLinkTests } = require('./links.test');
 
 // ANSI color codes for terminal output
 const colors = {
@@ -31,24 +56,34 @@ const colors = {
     bgYellow: '\x1b[43m'
 };
 
+// Human-readable output goes to stdout unless a machine-readable report is
+// being streamed there, in which case it moves to stderr
+let log = console.log;
+
 function formatDuration(ms) {
     if (ms < 1000) return `${ms}ms`;
     return `${(ms / 1000).toFixed(2)}s`;
 }
 
 function printHeader() {
-    console.log('\n');
-    console.log(colors.cyan + '╔══════════════════════════════════════════════════════════════════╗' + colors.reset);
-    console.log(colors.cyan + '║' + colors.reset + colors.bright + '          GFV LLC - Web UX Playground Test Suite                  ' + colors.reset + colors.cyan + '║' + colors.reset);
-    console.log(colors.cyan + '║' + colors.reset + '          Molecular-Level Granularity Testing                     ' + colors.cyan + '║' + colors.reset);
-    console.log(colors.cyan + '╚══════════════════════════════════════════════════════════════════╝' + colors.reset);
-    console.log('\n');
+    log('\n');
+    log(colors.cyan + '╔══════════════════════════════════════════════════════════════════╗' + colors.reset);
+    log(colors.cyan + '║' + colors.reset + colors.bright + '          GFV LLC - Web UX Playground Test Suite                  ' + colors.reset + colors.cyan + '║' + colors.reset);
+    log(colors.cyan + '║' + colors.reset + '          Molecular-Level Granularity Testing                     ' + colors.cyan + '║' + colors.reset);
+    log(colors.cyan + '╚══════════════════════════════════════════════════════════════════╝' + colors.reset);
+    log('\n');
+}
+
+function printTargetHeader(target) {
+    log('\n' + colors.magenta + '═'.repeat(70) + colors.reset);
+    log(colors.bright + colors.magenta + `  🎯 Target: ${target.name}` + colors.reset + colors.dim + ` (${target.file})` + colors.reset);
+    log(colors.magenta + '═'.repeat(70) + colors.reset);
 }
 
 function printSuiteHeader(suiteName) {
-    console.log('\n' + colors.blue + '━'.repeat(70) + colors.reset);
-    console.log(colors.bright + colors.blue + '  📋 ' + suiteName + colors.reset);
-    console.log(colors.blue + '━'.repeat(70) + colors.reset);
+    log('\n' + colors.blue + '━'.repeat(70) + colors.reset);
+    log(colors.bright + colors.blue + '  📋 ' + suiteName + colors.reset);
+    log(colors.blue + '━'.repeat(70) + colors.reset);
 }
 
 function printTestResult(test) {
@@ -76,21 +111,21 @@ function printTestResult(test) {
             color = colors.white;
     }
     
-    console.log(`  ${color}${icon}${colors.reset} ${test.name}`);
+    log(`  ${color}${icon}${colors.reset} ${test.name}`);
     
     if (test.status === 'FAIL' && test.error) {
-        console.log(`    ${colors.red}└─ Error: ${test.error}${colors.reset}`);
+        log(`    ${colors.red}└─ Error: ${test.error}${colors.reset}`);
     }
     
     if (test.status === 'WARN' && test.warning) {
-        console.log(`    ${colors.yellow}└─ ${test.warning}${colors.reset}`);
+        log(`    ${colors.yellow}└─ ${test.warning}${colors.reset}`);
     }
 }
 
 function printSuiteSummary(result) {
-    const { passed, failed, warnings, skipped, total, duration } = result;
+    const { passed, failed, warnings, skipped, duration, setupDuration } = result;
     
-    console.log('\n  ' + colors.dim + '─'.repeat(50) + colors.reset);
+    log('\n  ' + colors.dim + '─'.repeat(50) + colors.reset);
     
     const parts = [];
     if (passed > 0) parts.push(colors.green + `${passed} passed` + colors.reset);
@@ -98,7 +133,8 @@ function printSuiteSummary(result) {
     if (warnings > 0) parts.push(colors.yellow + `${warnings} warnings` + colors.reset);
     if (skipped > 0) parts.push(colors.dim + `${skipped} skipped` + colors.reset);
     
-    console.log(`  ${parts.join(', ')} ${colors.dim}(${formatDuration(duration)})${colors.reset}`);
+    const setup = setupDuration ? `, ${formatDuration(setupDuration)} setup` : '';
+    log(`  ${parts.join(', ')} ${colors.dim}(${formatDuration(duration)}${setup})${colors.reset}`);
 }
 
 function printFinalReport(allResults) {
@@ -109,54 +145,67 @@ function printFinalReport(allResults) {
     const totalTests = allResults.reduce((sum, r) => sum + r.total, 0);
     const totalDuration = allResults.reduce((sum, r) => sum + r.duration, 0);
     
-    console.log('\n\n');
-    console.log(colors.cyan + '╔══════════════════════════════════════════════════════════════════╗' + colors.reset);
-    console.log(colors.cyan + '║' + colors.reset + colors.bright + '                        FINAL REPORT                              ' + colors.reset + colors.cyan + '║' + colors.reset);
-    console.log(colors.cyan + '╚══════════════════════════════════════════════════════════════════╝' + colors.reset);
+    log('\n\n');
+    log(colors.cyan + '╔══════════════════════════════════════════════════════════════════╗' + colors.reset);
+    log(colors.cyan + '║' + colors.reset + colors.bright + '                        FINAL REPORT                              ' + colors.reset + colors.cyan + '║' + colors.reset);
+    log(colors.cyan + '╚══════════════════════════════════════════════════════════════════╝' + colors.reset);
     
-    console.log('\n  ' + colors.bright + 'Test Suites:' + colors.reset);
-    console.log('  ─'.repeat(30));
+    log('\n  ' + colors.bright + 'Test Suites:' + colors.reset);
+    log('  ─'.repeat(30));
     
-    allResults.forEach(result => {
-        const status = result.failed > 0 
-            ? colors.red + 'FAIL' + colors.reset
-            : result.warnings > 0 
-                ? colors.yellow + 'WARN' + colors.reset
-                : colors.green + 'PASS' + colors.reset;
+    // Group suites by the page they ran against
+    const targets = [...new Set(allResults.map(r => r.target))];
+    
+    targets.forEach(target => {
+        if (target) {
+            const targetResults = allResults.filter(r => r.target === target);
+            const targetFailed = targetResults.reduce((sum, r) => sum + r.failed, 0);
+            const targetColor = targetFailed > 0 ? colors.red : colors.green;
+            log(`\n  ${targetColor}🎯 ${target}${colors.reset} ${colors.dim}(${targetFailed} failed)${colors.reset}`);
+        }
         
-        console.log(`  ${status}  ${result.suite}`);
-        console.log(`       ${colors.dim}${result.passed}/${result.total} passed, ${result.warnings} warnings${colors.reset}`);
+        allResults.filter(r => r.target === target).forEach(result => {
+            const status = result.failed > 0 
+                ? colors.red + 'FAIL' + colors.reset
+                : result.warnings > 0 
+                    ? colors.yellow + 'WARN' + colors.reset
+                    : colors.green + 'PASS' + colors.reset;
+            
+            log(`  ${status}  ${result.suite}`);
+            log(`       ${colors.dim}${result.passed}/${result.total} passed, ${result.warnings} warnings${colors.reset}`);
+        });
     });
     
-    console.log('\n  ' + colors.bright + 'Overall Statistics:' + colors.reset);
-    console.log('  ─'.repeat(30));
-    console.log(`  Total Tests:    ${totalTests}`);
-    console.log(`  ${colors.green}Passed:         ${totalPassed}${colors.reset}`);
-    console.log(`  ${colors.red}Failed:         ${totalFailed}${colors.reset}`);
-    console.log(`  ${colors.yellow}Warnings:       ${totalWarnings}${colors.reset}`);
-    console.log(`  ${colors.dim}Skipped:        ${totalSkipped}${colors.reset}`);
-    console.log(`  Duration:       ${formatDuration(totalDuration)}`);
+    log('\n  ' + colors.bright + 'Overall Statistics:' + colors.reset);
+    log('  ─'.repeat(30));
+    log(`  Total Tests:    ${totalTests}`);
+    log(`  ${colors.green}Passed:         ${totalPassed}${colors.reset}`);
+    log(`  ${colors.red}Failed:         ${totalFailed}${colors.reset}`);
+    log(`  ${colors.yellow}Warnings:       ${totalWarnings}${colors.reset}`);
+    log(`  ${colors.dim}Skipped:        ${totalSkipped}${colors.reset}`);
+    log(`  Duration:       ${formatDuration(totalDuration)}`);
     
-    // Pass rate
-    const passRate = ((totalPassed / (totalTests - totalSkipped)) * 100).toFixed(1);
-    console.log(`\n  ${colors.bright}Pass Rate: ${passRate >= 90 ? colors.green : passRate >= 70 ? colors.yellow : colors.red}${passRate}%${colors.reset}`);
+    // Pass rate (a --tag filter can leave nothing to run)
+    const executed = totalTests - totalSkipped;
+    const passRate = executed > 0 ? ((totalPassed / executed) * 100).toFixed(1) : '0.0';
+    log(`\n  ${colors.bright}Pass Rate: ${passRate >= 90 ? colors.green : passRate >= 70 ? colors.yellow : colors.red}${passRate}%${colors.reset}`);
     
     // Critical issues summary
     const criticalIssues = allResults.flatMap(r => 
         r.tests.filter(t => t.status === 'FAIL').map(t => ({
-            suite: r.suite,
+            suite: suiteLabel(r),
             test: t.name,
             error: t.error
         }))
     );
     
     if (criticalIssues.length > 0) {
-        console.log('\n  ' + colors.red + colors.bright + '🚨 CRITICAL ISSUES REQUIRING ATTENTION:' + colors.reset);
-        console.log('  ─'.repeat(30));
+        log('\n  ' + colors.red + colors.bright + '🚨 CRITICAL ISSUES REQUIRING ATTENTION:' + colors.reset);
+        log('  ─'.repeat(30));
         criticalIssues.forEach((issue, i) => {
-            console.log(`  ${i + 1}. ${colors.red}[${issue.suite}]${colors.reset} ${issue.test}`);
+            log(`  ${i + 1}. ${colors.red}[${issue.suite}]${colors.reset} ${issue.test}`);
             if (issue.error) {
-                console.log(`     ${colors.dim}${issue.error}${colors.reset}`);
+                log(`     ${colors.dim}${issue.error}${colors.reset}`);
             }
         });
     }
@@ -164,50 +213,181 @@ function printFinalReport(allResults) {
     // Warnings summary
     const allWarnings = allResults.flatMap(r => 
         r.tests.filter(t => t.status === 'WARN').map(t => ({
-            suite: r.suite,
+            suite: suiteLabel(r),
             test: t.name,
             warning: t.warning
         }))
     );
     
     if (allWarnings.length > 0) {
-        console.log('\n  ' + colors.yellow + colors.bright + '⚠️  WARNINGS TO CONSIDER:' + colors.reset);
-        console.log('  ─'.repeat(30));
+        log('\n  ' + colors.yellow + colors.bright + '⚠️  WARNINGS TO CONSIDER:' + colors.reset);
+        log('  ─'.repeat(30));
         allWarnings.slice(0, 10).forEach((w, i) => {
-            console.log(`  ${i + 1}. ${colors.yellow}[${w.suite}]${colors.reset} ${w.test}`);
+            log(`  ${i + 1}. ${colors.yellow}[${w.suite}]${colors.reset} ${w.test}`);
         });
         if (allWarnings.length > 10) {
-            console.log(`  ${colors.dim}... and ${allWarnings.length - 10} more warnings${colors.reset}`);
+            log(`  ${colors.dim}... and ${allWarnings.length - 10} more warnings${colors.reset}`);
+        }
+    }
+    
+    // Third-party requests a hermetic run blocked - add fixtures for any the page needs
+    const blockedRequests = [...new Set(allResults.flatMap(r => (r.blockedRequests || []).map(req => req.url)))];
+    
+    if (blockedRequests.length > 0) {
+        log('\n  ' + colors.bright + '🔌 BLOCKED THIRD-PARTY REQUESTS:' + colors.reset);
+        log('  ─'.repeat(30));
+        blockedRequests.slice(0, 10).forEach(url => log(`  ${colors.dim}${url}${colors.reset}`));
+        if (blockedRequests.length > 10) {
+            log(`  ${colors.dim}... and ${blockedRequests.length - 10} more${colors.reset}`);
         }
     }
     
+    // Slowest tests
+    const slowestTests = allResults
+        .flatMap(r => r.tests.map(t => ({ suite: suiteLabel(r), test: t.name, duration: t.duration || 0 })))
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, 10);
+    
+    if (slowestTests.length > 0) {
+        log('\n  ' + colors.bright + '🐢 SLOWEST TESTS:' + colors.reset);
+        log('  ─'.repeat(30));
+        slowestTests.forEach((t, i) => {
+            log(`  ${String(i + 1).padStart(2)}. ${formatDuration(t.duration).padStart(8)}  ${colors.dim}[${t.suite}]${colors.reset} ${t.test}`);
+        });
+    }
+    
     // Final status banner
-    console.log('\n');
+    log('\n');
     if (totalFailed === 0 && totalWarnings === 0) {
-        console.log(colors.bgGreen + colors.bright + '  ✨ ALL TESTS PASSED - SITE IS STABLE! ✨  ' + colors.reset);
+        log(colors.bgGreen + colors.bright + '  ✨ ALL TESTS PASSED - SITE IS STABLE! ✨  ' + colors.reset);
     } else if (totalFailed === 0) {
-        console.log(colors.bgYellow + colors.bright + '  ⚠️  TESTS PASSED WITH WARNINGS - REVIEW RECOMMENDED  ' + colors.reset);
+        log(colors.bgYellow + colors.bright + '  ⚠️  TESTS PASSED WITH WARNINGS - REVIEW RECOMMENDED  ' + colors.reset);
     } else {
-        console.log(colors.bgRed + colors.bright + '  ❌ TESTS FAILED - FIXES REQUIRED BEFORE DEPLOYMENT  ' + colors.reset);
+        log(colors.bgRed + colors.bright + '  ❌ TESTS FAILED - FIXES REQUIRED BEFORE DEPLOYMENT  ' + colors.reset);
+    }
+    log('\n');
+    
+    return { totalPassed, totalFailed, totalWarnings, totalSkipped, totalTests, slowestTests };
+}
+
+function formatRate(rate) {
+    return rate === null ? 'n/a' : `${rate}%`;
+}
+
+function formatDelta(delta) {
+    if (delta === null) return '';
+    const color = delta > 0 ? colors.green : delta < 0 ? colors.red : colors.dim;
+    return ` ${color}(${delta > 0 ? '+' : ''}${delta})${colors.reset}`;
+}
+
+function printComparison(comparison) {
+    log(colors.cyan + '╔══════════════════════════════════════════════════════════════════╗' + colors.reset);
+    log(colors.cyan + '║' + colors.reset + colors.bright + '                     BASELINE COMPARISON                          ' + colors.reset + colors.cyan + '║' + colors.reset);
+    log(colors.cyan + '╚══════════════════════════════════════════════════════════════════╝' + colors.reset);
+    
+    log(`\n  ${colors.dim}Baseline: ${comparison.baseline.path} (${comparison.baseline.createdAt})${colors.reset}`);
+    log(`\n  ${colors.bright}Pass Rate:${colors.reset} ${formatRate(comparison.passRate.before)} → ${formatRate(comparison.passRate.after)}${formatDelta(comparison.passRate.delta)}`);
+    
+    comparison.suites.forEach(s => {
+        log(`    ${suiteLabel(s)}: ${formatRate(s.before)} → ${formatRate(s.after)}${formatDelta(s.delta)}`);
+    });
+    
+    const sections = [
+        { title: '🚨 NEWLY FAILING', color: colors.red, items: comparison.newlyFailing },
+        { title: '✨ NEWLY PASSING', color: colors.green, items: comparison.newlyPassing },
+        { title: '⚠️  NEW WARNINGS', color: colors.yellow, items: comparison.newWarnings },
+        { title: '✓ RESOLVED WARNINGS', color: colors.green, items: comparison.resolvedWarnings }
+    ];
+    
+    sections.forEach(({ title, color, items }) => {
+        if (items.length === 0) return;
+        log('\n  ' + color + colors.bright + `${title} (${items.length}):` + colors.reset);
+        log('  ─'.repeat(30));
+        items.forEach((item, i) => {
+            const was = item.isNewTest ? 'new test' : `was ${item.previousStatus}`;
+            log(`  ${i + 1}. ${color}[${suiteLabel(item)}]${colors.reset} ${item.test} ${colors.dim}(${was})${colors.reset}`);
+            if (item.error || item.warning) {
+                log(`     ${colors.dim}${item.error || item.warning}${colors.reset}`);
+            }
+        });
+    });
+    
+    if (comparison.removedTests.length > 0) {
+        log(`\n  ${colors.dim}${comparison.removedTests.length} tests from the baseline did not run${colors.reset}`);
     }
-    console.log('\n');
     
-    return { totalPassed, totalFailed, totalWarnings, totalSkipped, totalTests };
+    log('\n');
+    if (comparison.hasRegressions) {
+        log(colors.bgRed + colors.bright + `  ❌ ${comparison.newlyFailing.length} REGRESSION(S) SINCE BASELINE  ` + colors.reset);
+    } else {
+        log(colors.bgGreen + colors.bright + '  ✨ NO REGRESSIONS SINCE BASELINE  ' + colors.reset);
+    }
+    log('\n');
 }
 
 async function runAllTests(options = {}) {
-    const { verbose = true, suites = 'all' } = options;
+    const {
+        verbose = true,
+        suites = 'all',
+        targets = 'all',
+        reporter = 'text',
+        output = null,
+        html = config.reports.html,
+        compare = null,
+        saveRun = true,
+        saveLatest = false,
+        approve = false,
+        tags = null,
+        parallel = 1,
+        network = config.network.mode
+    } = options;
+    
+    if (!Reporters[reporter]) {
+        throw new Error(`Unknown reporter "${reporter}" (expected one of: ${Object.keys(Reporters).join(', ')})`);
+    }
+    
+    if (!['hermetic', 'live'].includes(network)) {
+        throw new Error(`Unknown network mode "${network}" (expected hermetic or live)`);
+    }
+    config.network.mode = network;
+    
+    log = reporter !== 'text' && !output ? console.error : console.log;
+    
+    // Load before running, so a bad path fails fast and the comparison never reads this run
+    const baseline = compare ? loadBaseline(compare) : null;
+    
+    const targetsToRun = targets === 'all' 
+        ? config.sitePages 
+        : config.sitePages.filter(t => targets.includes(t.name));
+    
+    const unknownTargets = targets === 'all' 
+        ? [] 
+        : targets.filter(name => !config.sitePages.some(t => t.name === name));
+    if (unknownTargets.length > 0) {
+        throw new Error(`Unknown target(s) "${unknownTargets.join(', ')}" (expected: ${config.sitePages.map(t => t.name).join(', ')})`);
+    }
     
     printHeader();
+    log(`  ${colors.dim}Network: ${network}${network === 'hermetic' ? ' (third-party requests served from tests/fixtures/network)' : ''}${colors.reset}`);
     
     const testSuites = [
         { name: 'Structure', runner: runStructureTests },
         { name: 'Navigation', runner: runNavigationTests },
         { name: 'Forms', runner: runFormTests },
+        { name: 'Submission', runner: runSubmissionTests },
+        { name: 'Wizard', runner: runWizardTests },
+        { name: 'Drafts', runner: runDraftTests },
         { name: 'Responsive', runner: runResponsiveTests },
         { name: 'Accessibility', runner: runAccessibilityTests },
+        { name: 'A11yTree', runner: runA11yTreeTests },
+        { name: 'Keyboard', runner: runKeyboardTests },
         { name: 'Animations', runner: runAnimationTests },
-        { name: 'Compatibility', runner: runCompatibilityTests }
+        { name: 'ReducedMotion', runner: runReducedMotionTests },
+        { name: 'Compatibility', runner: runCompatibilityTests },
+        { name: 'Visual', runner: runVisualTests },
+        // Site-wide suites look at every page at once, so they run a single time
+        { name: 'Drift', runner: runDriftTests, siteWide: true },
+        { name: 'Links', runner: runLinkTests, siteWide: true }
     ];
     
     const suitesToRun = suites === 'all' 
@@ -216,24 +396,18 @@ async function runAllTests(options = {}) {
     
     const allResults = [];
     
-    for (const suite of suitesToRun) {
-        printSuiteHeader(suite.name);
-        
+    // Suites share one browser; each page group gets its own context
+    const pool = new BrowserPool(parallel, () => BrowserUtils.launchBrowser());
+    
+    async function runSuite({ suite, target }) {
         try {
-            console.log(`  ${colors.dim}Running tests...${colors.reset}`);
-            const result = await suite.runner();
-            allResults.push(result);
-            
-            if (verbose) {
-                console.log('');
-                result.tests.forEach(test => printTestResult(test));
-            }
-            
-            printSuiteSummary(result);
+            const result = await suite.runner({ ...(target ? { target: target.url } : {}), approve, tags, pool });
+            if (target) result.target = target.name;
+            return { result, error: null };
         } catch (error) {
-            console.log(`  ${colors.red}✗ Suite failed to run: ${error.message}${colors.reset}`);
-            allResults.push({
+            const result = {
                 suite: suite.name,
+                ...(target ? { target: target.name, targetUrl: target.url } : {}),
                 total: 1,
                 passed: 0,
                 failed: 1,
@@ -241,15 +415,89 @@ async function runAllTests(options = {}) {
                 skipped: 0,
                 duration: 0,
                 tests: [{ name: 'Suite execution', status: 'FAIL', error: error.message }]
-            });
+            };
+            return { result, error };
         }
     }
     
+    // Printed in run order as soon as every earlier suite has finished,
+    // so the output reads the same however many suites run at once
+    let printedTarget;
+    function reportSuite({ suite, target }, { result, error }) {
+        const header = target || siteWideTarget;
+        if (header !== printedTarget) {
+            printTargetHeader(header);
+            printedTarget = header;
+        }
+        printSuiteHeader(suite.name);
+        allResults.push(result);
+        
+        if (error) {
+            log(`  ${colors.red}✗ Suite failed to run: ${error.message}${colors.reset}`);
+            return;
+        }
+        
+        if (verbose) {
+            log('');
+            result.tests.forEach(test => printTestResult(test));
+        }
+        
+        printSuiteSummary(result);
+    }
+    
+    const siteWideTarget = { name: 'site-wide', file: config.sitePages.map(p => p.file).join(', ') };
+    const perTargetSuites = suitesToRun.filter(s => !s.siteWide);
+    const siteWideSuites = suitesToRun.filter(s => s.siteWide);
+    
+    const jobs = [
+        ...targetsToRun.flatMap(target => perTargetSuites.map(suite => ({ suite, target }))),
+        ...siteWideSuites.map(suite => ({ suite, target: null }))
+    ];
+    
+    if (parallel > 1) {
+        log(`  ${colors.dim}Running ${jobs.length} suites, ${parallel} at a time...${colors.reset}`);
+    }
+    
+    try {
+        await runOrdered(jobs, parallel, runSuite, reportSuite);
+    } finally {
+        await pool.close();
+    }
+    
+    if (pool.launchDuration) {
+        log(`\n  ${colors.dim}Browser launched in ${formatDuration(pool.launchDuration)}, shared by all suites${colors.reset}`);
+    }
+    
     const summary = printFinalReport(allResults);
     
+    // The text reporter is the console output above; only write it when asked to save it
+    if (reporter !== 'text' || output) {
+        const reportPath = writeReport(reporter, allResults, summary, output);
+        if (reportPath) {
+            log(`  ${colors.dim}${reporter} report written to ${path.relative(process.cwd(), reportPath)}${colors.reset}\n`);
+        }
+    }
+    
+    if (html) {
+        const htmlPath = writeHtmlReport(allResults, summary, html);
+        log(`  ${colors.dim}HTML report written to ${path.relative(process.cwd(), htmlPath)}${colors.reset}\n`);
+    }
+    
+    const comparison = baseline ? compareRuns(baseline, allResults, summary) : null;
+    if (comparison) {
+        printComparison(comparison);
+    }
+    
+    if (saveRun) {
+        const baselinePath = saveBaseline(allResults, summary, { latest: saveLatest });
+        log(`  ${colors.dim}Run saved to ${path.relative(process.cwd(), baselinePath)}` +
+            `${saveLatest ? ' and kept as the latest baseline' : ''}${colors.reset}\n`);
+    }
+    
     return {
         results: allResults,
-        summary
+        summary,
+        comparison
     };
 }
 
@@ -260,10 +508,40 @@ if (require.main === module) {
     const suites = args.includes('--suite') 
         ? args[args.indexOf('--suite') + 1]?.split(',') 
         : 'all';
+    const targets = args.includes('--target') 
+        ? args[args.indexOf('--target') + 1]?.split(',') 
+        : 'all';
+    const reporter = args.includes('--reporter') 
+        ? args[args.indexOf('--reporter') + 1] 
+        : 'text';
+    const output = args.includes('--output') 
+        ? args[args.indexOf('--output') + 1] 
+        : null;
+    const html = args.includes('--no-html') 
+        ? null 
+        : args.includes('--html') ? args[args.indexOf('--html') + 1] : config.reports.html;
+    
+    const compare = args.includes('--compare') 
+        ? args[args.indexOf('--compare') + 1] 
+        : null;
+    const saveRun = !args.includes('--no-save-baseline');
+    const saveLatest = args.includes('--save-baseline');
+    const approve = args.includes('--approve');
+    const tags = args.includes('--tag') 
+        ? args[args.indexOf('--tag') + 1]?.split(',') 
+        : null;
+    const parallel = args.includes('--parallel') 
+        ? parseInt(args[args.indexOf('--parallel') + 1], 10) || 1 
+        : 1;
+    const network = args.includes('--network') 
+        ? args[args.indexOf('--network') + 1] 
+        : config.network.mode;
     
-    runAllTests({ verbose, suites })
-        .then(({ summary }) => {
-            process.exit(summary.totalFailed > 0 ? 1 : 0);
+    runAllTests({ verbose, suites, targets, reporter, output, html, compare, saveRun, saveLatest, approve, tags, parallel, network })
+        .then(({ summary, comparison }) => {
+            // When comparing, only regressions fail the run - known failures do not
+            const failed = comparison ? comparison.hasRegressions : summary.totalFailed > 0;
+            process.exit(failed ? 1 : 0);
         })
         .catch(error => {
             console.error(colors.red + 'Test runner failed:', error + colors.reset);
@@ -0,0 +1,354 @@
+/**
+ * GFV LLC - Form Submission Tests
+ * End-to-end submissions against a local Formspree stand-in with scripted responses
+ */
+
+const { suite, Assertions, config, delay } = require('./test-utils');
+const { MockFormServer, Responses } = require('./mock-form-server');
+const { KEY_PREFIX } = require('../assets/form-drafts');
+
+const ERROR_ALERT = 'Oops! There was a problem submitting your form';
+
+const inquiry = {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    company: 'Analytical Engines Ltd',
+    project_type: 'web-app',
+    budget: '15k-50k',
+    timeline: '1-3-months',
+    description: 'A dashboard for our engine telemetry, with weekly exports.',
+    referral: 'LinkedIn'
+};
+
+// Alerts are recorded and dismissed so an error path never blocks the page
+function trackDialogs(page) {
+    if (!page.dialogs) {
+        page.dialogs = [];
+        page.on('dialog', dialog => {
+            page.dialogs.push(dialog.message());
+            dialog.dismiss().catch(() => {});
+        });
+    }
+    return page.dialogs;
+}
+
+async function waitForDialog(page, count, timeout = 5000) {
+    const started = Date.now();
+    while (page.dialogs.length < count) {
+        if (Date.now() - started > timeout) {
+            throw new Error(`Expected an alert within ${timeout}ms, none appeared`);
+        }
+        await delay(50);
+    }
+}
+
+// Fill fields by name and point the form at the mock endpoint
+async function prepareForm(page, formSelector, values, endpoint) {
+    await page.evaluate((selector, fieldValues, action) => {
+        const form = document.querySelector(selector);
+        form.action = action;
+        Object.entries(fieldValues).forEach(([name, value]) => {
+            const field = form.elements[name];
+            field.value = value;
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }, formSelector, values, endpoint);
+}
+
+// The homepage form is step by step; a filled-in form is sent from its review step
+async function submitHomepage(page) {
+    await page.evaluate(() => {
+        location.hash = '#contact/review';
+    });
+    await page.waitForSelector('.contact-form .form-submit', { visible: true, timeout: 2000 });
+    await page.click('.contact-form .form-submit');
+}
+
+async function contactFormState(page) {
+    return page.evaluate(() => {
+        const form = document.getElementById('inquiry-form');
+        const success = document.getElementById('success-message');
+        return {
+            formHidden: form.classList.contains('hidden') || getComputedStyle(form).display === 'none',
+            successShown: success.classList.contains('show') && getComputedStyle(success).display !== 'none'
+        };
+    });
+}
+
+async function homepageFormState(page) {
+    return page.evaluate(() => {
+        const form = document.querySelector('.contact-form');
+        const button = form.querySelector('.form-submit');
+        const formError = document.getElementById('form-error');
+        const success = document.getElementById('form-success');
+        return {
+            formHidden: form.hidden,
+            successShown: !success.hidden,
+            successFocused: document.activeElement === success,
+            errorShown: !formError.hidden,
+            formError: formError.hidden ? null : formError.querySelector('.form-error-text').textContent,
+            retryShown: !formError.hidden && !formError.querySelector('.form-retry').hidden,
+            emailError: document.getElementById('email-error').textContent,
+            buttonText: button.textContent.trim(),
+            sending: button.disabled
+        };
+    });
+}
+
+const runSubmissionTests = suite('Form Submission', ({ test, beforeAll, afterAll, beforeEach }) => {
+    const server = new MockFormServer();
+    const contactFormPage = { url: config.targets.contactForm };
+    
+    beforeAll(() => server.start());
+    afterAll(() => server.stop());
+    
+    // Every test starts from a freshly loaded form
+    beforeEach(async ({ page, url }) => {
+        trackDialogs(page);
+        await page.goto(url, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+    });
+    
+    // Each test gets its own form id so scripted responses never leak between tests
+    let formCount = 0;
+    const newFormId = () => `form-${++formCount}`;
+    
+    test('Inquiry form shows success message on 200', async ({ page }) => {
+        const formId = newFormId();
+        const alertsBefore = page.dialogs.length;
+        server.script(formId, Responses.ok());
+        
+        await prepareForm(page, '#inquiry-form', inquiry, server.endpoint(formId));
+        await page.click('#inquiry-form .submit-btn');
+        await page.waitForSelector('#success-message.show', { timeout: 5000 });
+        
+        const state = await contactFormState(page);
+        const [submission] = server.submissionsFor(formId);
+        
+        Assertions.isTrue(state.formHidden, 'Form should be hidden after a successful submission');
+        Assertions.isTrue(state.successShown, 'Success message should be shown');
+        Assertions.equals(page.dialogs.length, alertsBefore, 'No alert expected on success');
+        Assertions.isTrue(!!submission, 'Endpoint should receive the submission');
+        Assertions.isTrue((submission.headers.accept || '').includes('application/json'), 'Submission should ask for JSON');
+        Object.entries(inquiry).forEach(([name, value]) => {
+            Assertions.equals(submission.fields[name], value, `Submitted ${name}`);
+        });
+        
+        return { state, fields: Object.keys(submission.fields) };
+    }, contactFormPage);
+    
+    const errorCases = [
+        { label: '422 validation error', response: Responses.validationError() },
+        { label: '500 server error', response: Responses.serverError() },
+        { label: 'dropped connection', response: Responses.drop() }
+    ];
+    
+    errorCases.forEach(({ label, response }) => {
+        test(`Inquiry form alerts on ${label}`, async ({ page }) => {
+            const formId = newFormId();
+            const alertsBefore = page.dialogs.length;
+            server.script(formId, response);
+            
+            await prepareForm(page, '#inquiry-form', inquiry, server.endpoint(formId));
+            await page.click('#inquiry-form .submit-btn');
+            await waitForDialog(page, alertsBefore + 1);
+            
+            const state = await contactFormState(page);
+            const message = page.dialogs[page.dialogs.length - 1];
+            
+            Assertions.isTrue(message.includes(ERROR_ALERT), `Unexpected alert text: "${message}"`);
+            Assertions.isFalse(state.formHidden, 'Form should stay visible so the visitor can retry');
+            Assertions.isFalse(state.successShown, 'Success message should not be shown');
+            Assertions.equals(server.submissionsFor(formId).length, 1, 'Endpoint should receive one submission');
+            
+            return { alert: message, state };
+        }, contactFormPage);
+    });
+    
+    test('Inquiry form waits quietly while the endpoint hangs', async ({ page }) => {
+        const formId = newFormId();
+        const alertsBefore = page.dialogs.length;
+        server.script(formId, Responses.hang());
+        
+        await prepareForm(page, '#inquiry-form', inquiry, server.endpoint(formId));
+        await page.click('#inquiry-form .submit-btn');
+        await delay(1500);
+        
+        const state = await contactFormState(page);
+        
+        Assertions.equals(server.submissionsFor(formId).length, 1, 'Endpoint should receive the submission');
+        Assertions.equals(page.dialogs.length, alertsBefore, 'No alert expected while the request is pending');
+        Assertions.isFalse(state.formHidden, 'Form should stay visible while pending');
+        Assertions.isFalse(state.successShown, 'Success message should not be shown while pending');
+        
+        return { waitedMs: 1500, state };
+    }, contactFormPage);
+    
+    test('Homepage form shows success panel on 200', async ({ page }) => {
+        const formId = newFormId();
+        const startUrl = page.url();
+        server.script(formId, Responses.ok());
+        
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        await submitHomepage(page);
+        await page.waitForSelector('#form-success:not([hidden])', { timeout: 5000 });
+        
+        const state = await homepageFormState(page);
+        const [submission] = server.submissionsFor(formId);
+        
+        Assertions.isTrue(state.formHidden, 'Form should be replaced by the success panel');
+        Assertions.isTrue(state.successFocused, 'Success panel should take focus so it is announced');
+        // The wizard keeps its step in the hash, so only the document is compared
+        Assertions.equals(page.url().split('#')[0], startUrl.split('#')[0], 'Visitor should stay on the page');
+        Assertions.isTrue(!!submission, 'Endpoint should receive the submission');
+        Assertions.isTrue((submission.headers.accept || '').includes('application/json'), 'Submission should ask for JSON');
+        Object.entries(inquiry).forEach(([name, value]) => {
+            Assertions.equals(submission.fields[name], value, `Submitted ${name}`);
+        });
+        
+        return { state, fields: Object.keys(submission.fields) };
+    });
+    
+    test('Homepage form shows field errors from a 422 response', async ({ page }) => {
+        const formId = newFormId();
+        server.script(formId, Responses.validationError('email', 'should be an email'));
+        
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        await submitHomepage(page);
+        await page.waitForSelector('#email-error:not([hidden])', { timeout: 5000 });
+        
+        const state = await homepageFormState(page);
+        const field = await page.$eval('#email', input => ({
+            invalid: input.getAttribute('aria-invalid'),
+            describedBy: input.getAttribute('aria-describedby'),
+            focused: document.activeElement === input
+        }));
+        
+        Assertions.isTrue(state.emailError.includes('should be an email'), `Unexpected field error: "${state.emailError}"`);
+        Assertions.equals(field.invalid, 'true', 'Field should be marked aria-invalid');
+        Assertions.equals(field.describedBy, 'email-error', 'Field should be described by its error');
+        Assertions.isTrue(field.focused, 'First invalid field should take focus');
+        Assertions.isFalse(state.formHidden, 'Form should stay visible for corrections');
+        Assertions.isFalse(state.sending, 'Button should be ready again');
+        
+        return { state, field };
+    });
+    
+    test('Homepage form reports server errors with a retry', async ({ page }) => {
+        const formId = newFormId();
+        server.script(formId, Responses.serverError(), Responses.ok());
+        
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        await submitHomepage(page);
+        await page.waitForSelector('#form-error:not([hidden])', { timeout: 5000 });
+        
+        const state = await homepageFormState(page);
+        Assertions.isTrue(state.retryShown, 'A retry button should be offered');
+        Assertions.isFalse(state.formHidden, 'Form should stay visible');
+        
+        await page.click('.contact-form .form-retry');
+        await page.waitForSelector('#form-success:not([hidden])', { timeout: 5000 });
+        Assertions.equals(server.submissionsFor(formId).length, 2, 'Retry should submit again');
+        
+        return { error: state.formError };
+    });
+    
+    test('Homepage form offers a retry after a dropped connection', async ({ page }) => {
+        const formId = newFormId();
+        server.script(formId, Responses.drop(), Responses.ok());
+        
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        await submitHomepage(page);
+        await page.waitForSelector('#form-error:not([hidden])', { timeout: 5000 });
+        
+        const state = await homepageFormState(page);
+        const retryFocused = await page.evaluate(() => document.activeElement === document.querySelector('.form-retry'));
+        
+        Assertions.isTrue(state.retryShown, 'A retry button should be offered on network failure');
+        Assertions.isTrue(retryFocused, 'Retry button should take focus');
+        Assertions.isFalse(state.sending, 'Button should be ready again');
+        
+        await page.click('.contact-form .form-retry');
+        await page.waitForSelector('#form-success:not([hidden])', { timeout: 5000 });
+        
+        const [, retried] = server.submissionsFor(formId);
+        Assertions.isTrue(!!retried, 'Retry should submit again');
+        Assertions.equals(retried.fields.description, inquiry.description, 'Retry should resend the description');
+        
+        return { error: state.formError, submissions: 2 };
+    });
+    
+    test('Homepage form gives up on an endpoint that never answers and offers a retry', async ({ page }) => {
+        const formId = newFormId();
+        server.script(formId, Responses.hang());
+        
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        await submitHomepage(page);
+        await delay(300);
+        
+        const sending = await homepageFormState(page);
+        Assertions.equals(sending.buttonText, 'Sending...', 'Button label while sending');
+        Assertions.isTrue(sending.sending, 'Button should be disabled while sending');
+        
+        // The page aborts the request after SEND_TIMEOUT (15s) rather than waiting forever
+        await page.waitForSelector('#form-error:not([hidden])', { timeout: 20000 });
+        const later = await homepageFormState(page);
+        const retryFocused = await page.evaluate(() => document.activeElement === document.querySelector('.form-retry'));
+        
+        Assertions.isFalse(later.sending, 'Button should be ready again once the request is given up');
+        Assertions.isFalse(later.formHidden, 'No success panel without a response');
+        Assertions.isTrue(later.retryShown, 'A retry button should be offered');
+        Assertions.isTrue(retryFocused, 'Retry button should take focus');
+        
+        return { sending, error: later.formError };
+    }, { timeout: 40000 });
+    
+    test('Homepage form clears its saved draft after a successful send', async ({ page }) => {
+        const formId = newFormId();
+        const draftKey = `${KEY_PREFIX}contact`;
+        server.script(formId, Responses.ok());
+        
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        await page.waitForFunction(key => localStorage.getItem(key) !== null, { timeout: 3000 }, draftKey);
+        await submitHomepage(page);
+        await page.waitForSelector('#form-success:not([hidden])', { timeout: 5000 });
+        
+        const draft = await page.evaluate(key => localStorage.getItem(key), draftKey);
+        Assertions.equals(draft, null, 'The draft should be gone once the message is sent');
+        
+        return { cleared: draftKey };
+    });
+    
+    test('Homepage form falls back to a native POST without JavaScript', async ({ page, url }) => {
+        const formId = newFormId();
+        server.script(formId, Responses.ok());
+        
+        await page.setJavaScriptEnabled(false);
+        await page.goto(url, { waitUntil: 'load', timeout: config.timeouts.navigation });
+        
+        // Page scripts are off; the test's own evaluation still runs through DevTools
+        await prepareForm(page, '.contact-form', inquiry, server.endpoint(formId));
+        
+        await Promise.all([
+            page.waitForNavigation({ waitUntil: 'load', timeout: config.timeouts.navigation }),
+            page.click('.contact-form .form-submit')
+        ]);
+        
+        const [submission] = server.submissionsFor(formId);
+        Assertions.isTrue(!!submission, 'Endpoint should receive the native submission');
+        Object.entries(inquiry).forEach(([name, value]) => {
+            Assertions.equals(submission.fields[name], value, `Submitted ${name}`);
+        });
+        
+        return { landedOn: page.url() };
+    });
+});
+
+module.exports = { runSubmissionTests };
+
+if (require.main === module) {
+    runSubmissionTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
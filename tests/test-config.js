@@ -3,11 +3,88 @@
  * Centralized configuration for all test suites
  */
 
+const path = require('path');
+const InquirySchema = require('../assets/inquiry-schema');
+
+const siteRoot = 'file://' + __dirname.replace(/\\/g, '/').replace('/tests', '');
+
 module.exports = {
     // Target files to test
     targets: {
-        mainSite: 'file://' + __dirname.replace(/\\/g, '/').replace('/tests', '') + '/temp_review.html',
-        contactForm: 'file://' + __dirname.replace(/\\/g, '/').replace('/tests', '') + '/assets/contact-form.html'
+        mainSite: siteRoot + '/temp_review.html',
+        contactForm: siteRoot + '/assets/contact-form.html'
+    },
+    
+    // Site pages every suite runs against (pick a subset with --target index,main)
+    sitePages: [
+        { name: 'index', file: 'index.html', url: siteRoot + '/index.html' },            // Deployed page
+        { name: 'main', file: 'main.html', url: siteRoot + '/main.html' },
+        { name: 'temp_review', file: 'temp_review.html', url: siteRoot + '/temp_review.html' }
+    ],
+    
+    // Generated report locations (git-ignored)
+    reports: {
+        dir: path.join(__dirname, 'reports'),
+        html: path.join(__dirname, 'reports', 'report.html'),
+        baselines: path.join(__dirname, 'reports', 'baselines'),
+        attachments: path.join(__dirname, 'reports', 'attachments')   // Images from the JSON report
+    },
+    
+    // Visual regression - approved screenshots are committed under baselineDir (re-approve with --suite visual --approve)
+    visualRegression: {
+        baselineDir: path.join(__dirname, 'baselines', 'visual'),
+        threshold: 0.1,         // Per-channel difference (0-1) before a pixel counts as changed
+        maxDiffRatio: 0.001,    // Share of changed pixels tolerated before a viewport fails
+        timeout: 60000,         // Full-page capture and pixel diff per viewport (ms)
+        ignoreRegions: [
+            // Selectors or page rectangles ({ x, y, width, height }) left out of the comparison
+            { selector: '.portfolio-preview img' }  // Remote photos vary between fetches in live runs
+        ]
+    },
+    
+    // Keyboard journey - every checkpoint must be reached by Tab alone, in visual order
+    keyboardJourney: {
+        maxTabStops: 150,           // Stop tabbing after this many focus moves
+        screenshotPadding: 12,      // Room around each focused element so its ring is in the crop (px)
+        orderTolerance: 4,          // Overlap (px) still treated as the same row or column
+        // Clicked before the walk: the wizard shows every field and submit at once
+        reveal: ['.contact-form .wizard-mode-toggle'],
+        checkpoints: [
+            { label: 'Skip link', selector: '.skip-link' },
+            { label: 'Nav links', selector: 'nav a' },
+            { label: 'Hero CTAs', selector: '.hero-ctas a' },
+            { label: 'Portfolio cards', selector: 'a.portfolio-card' },
+            // includeHidden: a field or button left hidden counts as not reached instead of being skipped
+            { label: 'Contact form fields', selector: '.contact-form input, .contact-form select, .contact-form textarea', includeHidden: true },
+            { label: 'Submit', selector: '.contact-form .form-submit', includeHidden: true }
+        ]
+    },
+    
+    // Accessibility tree snapshots - one text file per page region under baselineDir
+    a11ySnapshots: {
+        baselineDir: path.join(__dirname, 'baselines', 'a11y'),
+        regions: [
+            // Each region is snapshotted on its own so a diff points at one part of the page
+            { name: 'nav', selector: 'body > nav' },
+            { name: 'hero', selector: '.hero' },
+            { name: 'portfolio', selector: '#work' },
+            { name: 'contact', selector: '#contact' },
+            { name: 'footer', selector: 'body > footer' }
+        ],
+        // Node properties written to the snapshot; focus and field values change as tests interact
+        properties: ['description', 'level', 'checked', 'pressed', 'expanded', 'selected', 'disabled',
+            'required', 'invalid', 'haspopup', 'readonly', 'multiselectable', 'modal', 'orientation']
+    },
+    
+    // Third-party requests: 'hermetic' answers them from local fixtures and blocks the rest,
+    // 'live' sends them to the real network (switch with --network or GFV_NETWORK)
+    network: {
+        mode: process.env.GFV_NETWORK || 'hermetic',
+        fixtureDir: path.join(__dirname, 'fixtures', 'network'),
+        fixtures: [
+            { match: /^https:\/\/images\.unsplash\.com\//, file: 'placeholder.svg', contentType: 'image/svg+xml' },
+            { match: /^https:\/\/fonts\.googleapis\.com\/css/, file: 'fonts.css', contentType: 'text/css' }
+        ]
     },
     
     // Viewport configurations for responsive testing
@@ -21,6 +98,11 @@ module.exports = {
         ultrawide: { width: 2560, height: 1440, name: 'Ultrawide (1440p)' }
     },
     
+    // Layout breakpoints from the site's media queries (max-width, px)
+    breakpoints: {
+        nav: 900                    // Nav links move into the slide-out menu
+    },
+    
     // Animation/transition timing thresholds (ms)
     timing: {
         transitionMax: 500,     // Max acceptable transition duration
@@ -37,6 +119,11 @@ module.exports = {
         contrastRatioLarge: 3,      // WCAG AA for large text
         minTapTarget: 44,           // Minimum tap target size (px)
         minFocusVisible: true,      // Require visible focus states
+        imageTextProximity: 48,     // Text this close to an image (px) gets its pixels sampled
+        focusObscured: {
+            maxTabStops: 150,       // Stop tabbing after this many focus moves
+            samplesPerAxis: 5       // Hit-test grid (n x n) across each focused element
+        },
         requiredLandmarks: ['main', 'navigation'],
         maxHeadingSkip: 1           // Max heading level skip allowed
     },
@@ -48,7 +135,7 @@ module.exports = {
         element: 5000
     },
     
-    // External link domains to verify (should be reachable)
+    // Domains the site may link to - the link suite fails any external link outside this list
     externalDomains: [
         'globaldeets.com',
         'culturesherpa.org',
@@ -57,6 +144,17 @@ module.exports = {
         'formspree.io'
     ],
     
+    // Link verification - resolver 'live' requests every link, 'scripted' answers from
+    // the fixtures file; null picks live only when config.network.mode is live
+    links: {
+        resolver: null,
+        fixtures: path.join(__dirname, 'fixtures', 'links.json'),
+        timeout: 8000,
+        maxRedirects: 5,
+        // External links resolved at the same time
+        concurrency: 4
+    },
+    
     // CSS properties to validate for transitions
     transitionProperties: [
         'opacity',
@@ -67,11 +165,6 @@ module.exports = {
         'color'
     ],
     
-    // Form validation rules
-    formValidation: {
-        requiredFields: ['name', 'email', 'description'],
-        emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-        minDescriptionLength: 10,
-        maxDescriptionLength: 500
-    }
+    // Form validation rules - the shared inquiry schema both forms validate against
+    formValidation: InquirySchema.rules
 };
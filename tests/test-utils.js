@@ -3,8 +3,11 @@
  * Shared helper functions for all test suites
  */
 
+const fs = require('fs');
+const path = require('path');
 const puppeteer = require('puppeteer');
 const config = require('./test-config');
+const { BrowserPool } = require('./browser-pool');
 
 /**
  * Color utilities for accessibility testing
@@ -14,13 +17,14 @@ const ColorUtils = {
     parseColor(color) {
         if (!color || color === 'transparent') return null;
         
-        // Handle rgb/rgba
-        const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+        // Handle rgb/rgba (alpha defaults to 1)
+        const rgbMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?/);
         if (rgbMatch) {
             return {
                 r: parseInt(rgbMatch[1]),
                 g: parseInt(rgbMatch[2]),
-                b: parseInt(rgbMatch[3])
+                b: parseInt(rgbMatch[3]),
+                a: rgbMatch[4] !== undefined ? parseFloat(rgbMatch[4]) : 1
             };
         }
         
@@ -34,7 +38,8 @@ const ColorUtils = {
             return {
                 r: parseInt(hex.substr(0, 2), 16),
                 g: parseInt(hex.substr(2, 2), 16),
-                b: parseInt(hex.substr(4, 2), 16)
+                b: parseInt(hex.substr(4, 2), 16),
+                a: 1
             };
         }
         
@@ -59,6 +64,54 @@ const ColorUtils = {
         const lighter = Math.max(l1, l2);
         const darker = Math.min(l1, l2);
         return (lighter + 0.05) / (darker + 0.05);
+    },
+    
+    // Paint `top` over `bottom` (source-over compositing)
+    blend(top, bottom) {
+        const ta = top.a ?? 1;
+        const ba = bottom.a ?? 1;
+        const a = ta + ba * (1 - ta);
+        if (a === 0) return { r: 0, g: 0, b: 0, a: 0 };
+        
+        const mix = (t, b) => Math.round((t * ta + b * ba * (1 - ta)) / a);
+        return { r: mix(top.r, bottom.r), g: mix(top.g, bottom.g), b: mix(top.b, bottom.b), a };
+    },
+    
+    /**
+     * Resolve the background actually painted behind an element. `layers` are
+     * the computed { backgroundColor, backgroundImage } of the element and its
+     * ancestors, innermost first. Translucent colors are composited until an
+     * opaque one is reached (or the white canvas). A background image or
+     * gradient on the way makes the result unknown: { color: null, reason }.
+     */
+    effectiveBackground(layers, canvas = { r: 255, g: 255, b: 255, a: 1 }) {
+        const stack = [];
+        
+        for (const layer of layers) {
+            if (layer.backgroundImage && layer.backgroundImage !== 'none') {
+                const kind = /gradient\(/.test(layer.backgroundImage) ? 'gradient' : 'image';
+                return { color: null, reason: `background ${kind} on ${layer.element || 'ancestor'}` };
+            }
+            
+            const color = this.parseColor(layer.backgroundColor);
+            if (!color || color.a === 0) continue;
+            stack.push(color);
+            if (color.a >= 1) break;
+        }
+        
+        // Paint from the bottom up
+        const color = stack.reduceRight((below, layer) => this.blend(layer, below), canvas);
+        return { color, reason: null };
+    },
+    
+    // WCAG large text: 18pt (24px) regular or 14pt (18.66px) bold
+    isLargeText(fontSizePx, fontWeight) {
+        const bold = parseInt(fontWeight) >= 700;
+        return fontSizePx >= 24 || (fontSizePx >= 18.66 && bold);
+    },
+    
+    toCss(color) {
+        return color ? `rgb(${color.r}, ${color.g}, ${color.b})` : null;
     }
 };
 
@@ -66,26 +119,91 @@ const ColorUtils = {
  * Test result tracking
  */
 class TestResults {
-    constructor(suiteName) {
+    constructor(suiteName, options = {}) {
         this.suiteName = suiteName;
+        this.targetUrl = options.targetUrl || null;
         this.tests = [];
         this.startTime = Date.now();
+        this.setupDuration = 0;
+        this.testStart = null;
+        this.lastEnd = null;
+        this.page = null;
+        this.pageLabel = null;
+        this.pendingAttachments = [];
+    }
+    
+    // Page used to screenshot FAIL and WARN results (label names the viewport)
+    usePage(page, label = null) {
+        this.page = page;
+        this.pageLabel = label;
+    }
+    
+    // Attach a file (screenshot, diff image) to the most recently recorded test
+    attach(attachment) {
+        const test = this.tests[this.tests.length - 1];
+        if (!test) return;
+        test.attachments = test.attachments || [];
+        test.attachments.push(attachment);
+    }
+    
+    captureScreenshot(test) {
+        const page = this.page;
+        if (!page || page.isClosed()) return;
+        
+        const label = this.pageLabel || 'Page';
+        const pending = page.screenshot({ encoding: 'base64' })
+            .then(data => {
+                test.attachments = test.attachments || [];
+                test.attachments.push({ type: 'screenshot', label, contentType: 'image/png', data });
+            })
+            .catch(() => {
+                // Page closed or crashed - the result itself is still recorded
+            });
+        this.pendingAttachments.push(pending);
+    }
+    
+    // Wait for screenshots still being captured (call before closing the browser)
+    async flush() {
+        await Promise.all(this.pendingAttachments);
+        this.pendingAttachments = [];
+    }
+    
+    // Mark the start of the next test; without it a test is timed from the previous result
+    startTest() {
+        this.testStart = Date.now();
+    }
+    
+    // Time spent launching the browser and opening pages, kept out of test durations
+    addSetup(ms) {
+        this.setupDuration += ms;
+    }
+    
+    record(test) {
+        const endedAt = Date.now();
+        const startedAt = this.testStart ?? this.lastEnd ?? this.startTime;
+        Object.assign(test, { startedAt, endedAt, duration: endedAt - startedAt });
+        this.testStart = null;
+        this.lastEnd = endedAt;
+        this.tests.push(test);
+        return test;
     }
     
     pass(testName, details = null) {
-        this.tests.push({ name: testName, status: 'PASS', details, duration: Date.now() - this.startTime });
+        this.record({ name: testName, status: 'PASS', details });
     }
     
     fail(testName, error, details = null) {
-        this.tests.push({ name: testName, status: 'FAIL', error: error.toString(), details, duration: Date.now() - this.startTime });
+        const test = this.record({ name: testName, status: 'FAIL', error: error.toString(), details });
+        this.captureScreenshot(test);
     }
     
     skip(testName, reason) {
-        this.tests.push({ name: testName, status: 'SKIP', reason, duration: 0 });
+        this.record({ name: testName, status: 'SKIP', reason });
     }
     
     warn(testName, warning, details = null) {
-        this.tests.push({ name: testName, status: 'WARN', warning, details, duration: Date.now() - this.startTime });
+        const test = this.record({ name: testName, status: 'WARN', warning, details });
+        this.captureScreenshot(test);
     }
     
     getSummary() {
@@ -96,12 +214,14 @@ class TestResults {
         
         return {
             suite: this.suiteName,
+            targetUrl: this.targetUrl,
             total: this.tests.length,
             passed,
             failed,
             skipped,
             warnings,
             duration: Date.now() - this.startTime,
+            setupDuration: this.setupDuration,
             tests: this.tests
         };
     }
@@ -112,6 +232,44 @@ class TestResults {
  */
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+/**
+ * Run `task(item, index)` for every item with at most `limit` in flight.
+ * `onSettled(item, result, index)` is called in input order as soon as every
+ * earlier item has finished, so output stays deterministic. `task` is
+ * expected to handle its own errors.
+ */
+async function runOrdered(items, limit, task, onSettled = () => {}) {
+    const settled = new Array(items.length);
+    const done = new Array(items.length).fill(false);
+    let nextToStart = 0;
+    let nextToReport = 0;
+    
+    async function worker() {
+        while (nextToStart < items.length) {
+            const index = nextToStart++;
+            settled[index] = await task(items[index], index);
+            done[index] = true;
+            
+            while (nextToReport < items.length && done[nextToReport]) {
+                onSettled(items[nextToReport], settled[nextToReport], nextToReport);
+                nextToReport++;
+            }
+        }
+    }
+    
+    await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+    return settled;
+}
+
+// Fixture files are read once per run
+const fixtureCache = new Map();
+function readFixture(file) {
+    if (!fixtureCache.has(file)) {
+        fixtureCache.set(file, fs.readFileSync(file));
+    }
+    return fixtureCache.get(file);
+}
+
 /**
  * Browser utilities
  */
@@ -130,9 +288,16 @@ const BrowserUtils = {
         });
     },
     
-    async createPage(browser, viewport = config.viewports.desktop) {
+    async createPage(browser, viewport = config.viewports.desktop, { network = config.network.mode } = {}) {
+        if (!['hermetic', 'live'].includes(network)) {
+            throw new Error(`Unknown network mode "${network}" (expected hermetic or live)`);
+        }
+        
         const page = await browser.newPage();
         await page.setViewport(viewport);
+        if (network === 'hermetic') {
+            await this.interceptNetwork(page);
+        }
         
         // Collect console errors
         const consoleErrors = [];
@@ -154,6 +319,42 @@ const BrowserUtils = {
         return page;
     },
     
+    /**
+     * Answer third-party requests from config.network.fixtures and block the
+     * rest, so runs do not depend on the network. Local requests (file:,
+     * data:, loopback test servers) pass through. Every stubbed and blocked request is kept in
+     * page.networkLog.
+     */
+    async interceptNetwork(page) {
+        const { fixtureDir, fixtures } = config.network;
+        page.networkLog = { stubbed: [], blocked: [] };
+        
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            const url = request.url();
+            if (!/^https?:/i.test(url) || /^http:\/\/(127\.0\.0\.1|localhost)[:/]/i.test(url)) {
+                request.continue();
+                return;
+            }
+            
+            const entry = { url, method: request.method(), type: request.resourceType() };
+            const fixture = fixtures.find(f => f.match.test(url));
+            
+            if (fixture) {
+                page.networkLog.stubbed.push(entry);
+                request.respond({
+                    status: 200,
+                    contentType: fixture.contentType,
+                    headers: { 'Access-Control-Allow-Origin': '*' },
+                    body: readFixture(path.join(fixtureDir, fixture.file))
+                });
+            } else {
+                page.networkLog.blocked.push(entry);
+                request.abort('blockedbyclient');
+            }
+        });
+    },
+    
     async waitForStable(page, timeout = 1000) {
         await page.evaluate(() => {
             return new Promise(resolve => {
@@ -178,6 +379,41 @@ const BrowserUtils = {
                 setTimeout(checkStable, 50);
             });
         });
+    },
+    
+    // Put the page in a repeatable state for screenshots: no transitions or
+    // caret blink, fonts loaded, and scroll-reveal content triggered
+    async settleForScreenshot(page) {
+        await page.addStyleTag({
+            content: '*, *::before, *::after { transition: none !important; animation: none !important; caret-color: transparent !important; }'
+        });
+        
+        await page.evaluate(async () => {
+            await document.fonts.ready;
+            
+            for (let y = 0; y < document.documentElement.scrollHeight; y += window.innerHeight / 2) {
+                window.scrollTo({ top: y, behavior: 'instant' });
+                await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 50)));
+            }
+            window.scrollTo({ top: 0, behavior: 'instant' });
+        });
+        
+        await this.waitForStable(page);
+    },
+    
+    // Wait until the page stops scrolling; focus moves honour scroll-behavior: smooth
+    async waitForScrollIdle(page, stableFrames = 3) {
+        await page.evaluate(frames => new Promise(resolve => {
+            let lastY = window.scrollY;
+            let stable = 0;
+            const check = () => {
+                stable = window.scrollY === lastY ? stable + 1 : 0;
+                lastY = window.scrollY;
+                if (stable >= frames) resolve();
+                else requestAnimationFrame(check);
+            };
+            requestAnimationFrame(check);
+        }), stableFrames);
     }
 };
 
@@ -271,6 +507,82 @@ const ElementUtils = {
     }
 };
 
+/**
+ * Text diff utilities (line-based, unified format)
+ */
+const DiffUtils = {
+    // Longest-common-subsequence edit script between two line arrays
+    diffLines(before, after) {
+        const n = before.length;
+        const m = after.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = before[i] === after[j]
+                    ? lcs[i + 1][j + 1] + 1
+                    : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (before[i] === after[j]) {
+                ops.push({ type: ' ', line: before[i], a: i++, b: j++ });
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                ops.push({ type: '-', line: before[i], a: i++, b: j });
+            } else {
+                ops.push({ type: '+', line: after[j], a: i, b: j++ });
+            }
+        }
+        while (i < n) ops.push({ type: '-', line: before[i], a: i++, b: j });
+        while (j < m) ops.push({ type: '+', line: after[j], a: i, b: j++ });
+        
+        return ops;
+    },
+    
+    // Unified diff with `context` unchanged lines around each change
+    unified(beforeText, afterText, { context = 3, fromLabel = 'a', toLabel = 'b' } = {}) {
+        const before = Array.isArray(beforeText) ? beforeText : beforeText.split('\n');
+        const after = Array.isArray(afterText) ? afterText : afterText.split('\n');
+        const ops = this.diffLines(before, after);
+        
+        const changed = ops.map((op, index) => op.type !== ' ' ? index : -1).filter(index => index >= 0);
+        const added = ops.filter(op => op.type === '+').length;
+        const removed = ops.filter(op => op.type === '-').length;
+        
+        if (changed.length === 0) {
+            return { identical: true, added: 0, removed: 0, diff: '' };
+        }
+        
+        // Merge nearby changes into hunks
+        const hunks = [];
+        changed.forEach(index => {
+            const start = Math.max(0, index - context);
+            const end = Math.min(ops.length - 1, index + context);
+            const last = hunks[hunks.length - 1];
+            if (last && start <= last.end + 1) {
+                last.end = end;
+            } else {
+                hunks.push({ start, end });
+            }
+        });
+        
+        const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+        hunks.forEach(({ start, end }) => {
+            const slice = ops.slice(start, end + 1);
+            const beforeCount = slice.filter(op => op.type !== '+').length;
+            const afterCount = slice.filter(op => op.type !== '-').length;
+            lines.push(`@@ -${slice[0].a + 1},${beforeCount} +${slice[0].b + 1},${afterCount} @@`);
+            slice.forEach(op => lines.push(op.type + op.line));
+        });
+        
+        return { identical: false, added, removed, diff: lines.join('\n') };
+    }
+};
+
 /**
  * Assertion helpers
  */
@@ -318,12 +630,309 @@ const Assertions = {
     }
 };
 
+/**
+ * Declarative suites
+ *
+ *   const runExampleTests = suite('Example', ({ test, beforeAll, afterAll, beforeEach, afterEach }) => {
+ *       test('Hero is visible', async ({ page }) => {
+ *           const hero = await page.$('.hero');
+ *           Assertions.isTrue(!!hero, 'Hero section should exist');
+ *           return { found: true };              // PASS, with details
+ *       }, { viewport: 'mobile', timeout: 5000, tags: ['layout'] });
+ *   });
+ *
+ * A test passes when its function returns, fails when it throws or times out,
+ * and can record a different outcome with ctx.warn(), ctx.fail() or ctx.skip().
+ * ctx.attach() adds an image or file to the test's result. Tests that record
+ * their own results through ctx.results get no automatic PASS. ctx.signal
+ * aborts when the test times out, so work it started can stop with it.
+ * beforeAll/afterAll run once per suite run, around all of its tests.
+ * Each test is isolated: it opens a fresh page, so a failure, hang or altered
+ * page only affects that test. Read-only tests that build on one expensive
+ * pass over the page can opt into sharing it with the share option.
+ */
+class TestTimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TestTimeoutError';
+    }
+}
+
+function withTimeout(work, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TestTimeoutError(message)), ms);
+    });
+    return Promise.race([work, timeout]).finally(() => clearTimeout(timer));
+}
+
+function resolveViewport(viewport) {
+    if (!viewport) return { key: 'desktop', ...config.viewports.desktop };
+    if (typeof viewport === 'string') {
+        if (!config.viewports[viewport]) throw new Error(`Unknown viewport "${viewport}"`);
+        return { key: viewport, ...config.viewports[viewport] };
+    }
+    return { key: viewport.name, ...viewport };
+}
+
+/**
+ * Define a suite. Returns the suite runner, called with { target, tags, pool } like
+ * the other run*Tests functions.
+ *
+ * Suite options:
+ *   url          page tests open (default: the run's target; null for a blank page)
+ *   screenshots  screenshot FAIL/WARN results (default true)
+ *
+ * Test options:
+ *   timeout      ms before the test fails (default config.timeouts.test)
+ *   viewport     config.viewports key or { width, height, name } (default desktop)
+ *   url          page to open instead of the suite url
+ *   tags         labels used to pick tests with --tag
+ *   budget       ms a passing test may take before it is reported as WARN
+ *   share        name of a page shared, in order, with the other tests giving the same
+ *                name, viewport and url (only for tests that leave the page as they found it)
+ */
+function suite(suiteName, define, suiteOptions = {}) {
+    return async function runSuite(options = {}) {
+        const { target = config.targets.mainSite, tags = null } = options;
+        const results = new TestResults(suiteName, { targetUrl: target });
+        const suiteUrl = 'url' in suiteOptions ? suiteOptions.url : target;
+        const screenshots = suiteOptions.screenshots !== false;
+        
+        const tests = [];
+        const hooks = { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] };
+        
+        define({
+            test: (name, fn, testOptions = {}) => tests.push({ name, fn, options: testOptions }),
+            beforeAll: fn => hooks.beforeAll.push(fn),
+            afterAll: fn => hooks.afterAll.push(fn),
+            beforeEach: fn => hooks.beforeEach.push(fn),
+            afterEach: fn => hooks.afterEach.push(fn),
+            target,
+            options
+        });
+        
+        const selected = tags
+            ? tests.filter(t => (t.options.tags || []).some(tag => tags.includes(tag)))
+            : tests;
+        
+        // Every test gets a page of its own, except tests sharing one by name, which
+        // run on it in order. Groups are independent, so a pool can run them side by side.
+        const groups = [];
+        selected.forEach((entry, index) => {
+            const url = 'url' in entry.options ? entry.options.url : suiteUrl;
+            const key = entry.options.share
+                ? `${entry.options.share}|${JSON.stringify(entry.options.viewport || 'desktop')}|${url}`
+                : `own|${index}`;
+            let group = groups.find(g => g.key === key);
+            if (!group) {
+                group = { key, url, entries: [] };
+                groups.push(group);
+            }
+            group.entries.push({ ...entry, index });
+        });
+        
+        // Every test records into its own TestResults, merged in definition order
+        const testResults = new Array(selected.length);
+        const blockedRequests = new Map();
+        
+        async function runTest(entry, browser, session) {
+            const timeout = entry.options.timeout || config.timeouts.test;
+            const results = testResults[entry.index] = new TestResults(suiteName, { targetUrl: target });
+            const attachments = [];
+            let outcome = null;
+            let page = null;
+            let timedOut = false;
+            const controller = new AbortController();
+            
+            // Only the first outcome counts - a timed-out test that finishes later is ignored
+            const settle = result => {
+                if (!outcome) outcome = result;
+            };
+            
+            const ctx = {
+                name: entry.name,
+                target,
+                url: session.url,
+                browser,
+                results,
+                signal: controller.signal,
+                page: null,
+                viewport: null,
+                warn: (warning, details = null) => settle({ status: 'WARN', warning, details }),
+                fail: (error, details = null) => settle({ status: 'FAIL', error: error instanceof Error ? error : new Error(error), details }),
+                skip: reason => settle({ status: 'SKIP', reason }),
+                attach: attachment => attachments.push(attachment)
+            };
+            
+            try {
+                const setupStart = Date.now();
+                ctx.viewport = resolveViewport(entry.options.viewport);
+                page = ctx.page = await session.getPage(ctx.viewport);
+                results.addSetup(Date.now() - setupStart);
+                results.startTest();
+                if (screenshots) results.usePage(page, entry.options.viewport ? ctx.viewport.name : null);
+                
+                await withTimeout((async () => {
+                    for (const hook of hooks.beforeEach) await hook(ctx);
+                    const details = await entry.fn(ctx);
+                    if (results.tests.length === 0) {
+                        settle({ status: 'PASS', details: details === undefined ? null : details });
+                    }
+                })(), timeout, `Timed out after ${timeout}ms`);
+            } catch (e) {
+                settle({ status: 'FAIL', error: e, details: e.details || null });
+                timedOut = e instanceof TestTimeoutError;
+                if (timedOut) controller.abort(e);
+            }
+            
+            try {
+                await withTimeout((async () => {
+                    for (const hook of hooks.afterEach) await hook(ctx);
+                })(), timeout, `afterEach timed out after ${timeout}ms`);
+            } catch (e) {
+                if (!outcome || outcome.status !== 'FAIL') {
+                    outcome = { status: 'FAIL', error: new Error(`afterEach hook: ${e.message}`), details: null };
+                }
+            }
+            
+            // Over-budget passes are reported so slow pages do not creep in unnoticed
+            const { budget } = entry.options;
+            const elapsed = Date.now() - (results.testStart ?? Date.now());
+            if (budget && outcome && outcome.status === 'PASS' && elapsed > budget) {
+                outcome = {
+                    status: 'WARN',
+                    warning: `Took ${elapsed}ms, over its ${budget}ms budget`,
+                    details: { budget, elapsed, result: outcome.details }
+                };
+            }
+            
+            if (outcome) {
+                switch (outcome.status) {
+                    case 'PASS': results.pass(entry.name, outcome.details); break;
+                    case 'WARN': results.warn(entry.name, outcome.warning, outcome.details); break;
+                    case 'SKIP': results.skip(entry.name, outcome.reason); break;
+                    default: results.fail(entry.name, outcome.error, outcome.details);
+                }
+                attachments.forEach(attachment => results.attach(attachment));
+            }
+            
+            // A hung page is not reused by later tests, but its failure screenshot is taken first
+            if (timedOut) {
+                await withTimeout(results.flush(), config.timeouts.element, 'Screenshot timed out').catch(() => {});
+                await session.discardPage();
+            }
+            
+            if (entry.options.tags) {
+                results.tests.forEach(test => {
+                    test.tags = entry.options.tags;
+                });
+            }
+        }
+        
+        async function runGroup(group, browser) {
+            let page = null;
+            
+            const session = {
+                url: group.url,
+                async getPage(viewport) {
+                    if (page && !page.isClosed()) return page;
+                    
+                    const fresh = await BrowserUtils.createPage(browser, viewport);
+                    try {
+                        if (group.url) {
+                            await fresh.goto(group.url, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+                        }
+                    } catch (e) {
+                        await fresh.close().catch(() => {});
+                        throw e;
+                    }
+                    page = fresh;
+                    return page;
+                },
+                async discardPage() {
+                    if (page && page.networkLog) {
+                        page.networkLog.blocked.forEach(entry => blockedRequests.set(`${entry.method} ${entry.url}`, entry));
+                    }
+                    if (page && !page.isClosed()) await page.close().catch(() => {});
+                    page = null;
+                }
+            };
+            
+            for (const entry of group.entries) {
+                await runTest(entry, browser, session);
+            }
+            
+            // Screenshots need the page, so wait for them before it closes
+            await Promise.all(group.entries.map(entry => testResults[entry.index]?.flush()));
+            await session.discardPage();
+        }
+        
+        // Standalone runs get a single-slot pool of their own
+        const pool = options.pool || new BrowserPool(1, () => BrowserUtils.launchBrowser());
+        let setupError = null;
+        
+        // Suite-wide fixtures (servers, shared data); tests only run if they all start
+        try {
+            for (const hook of hooks.beforeAll) await hook({ target, options });
+        } catch (e) {
+            setupError = e;
+        }
+        
+        if (!setupError) {
+            await runOrdered(groups, pool.size, async group => {
+                try {
+                    await pool.use(browser => runGroup(group, browser));
+                } catch (e) {
+                    setupError = setupError || e;
+                }
+            });
+        }
+        
+        let teardownError = null;
+        for (const hook of hooks.afterAll) {
+            try {
+                await hook({ target, options });
+            } catch (e) {
+                teardownError = teardownError || e;
+            }
+        }
+        
+        testResults.forEach(child => {
+            if (!child) return;
+            results.tests.push(...child.tests);
+            results.addSetup(child.setupDuration);
+        });
+        
+        if (setupError) {
+            results.fail(`${suiteName} setup`, setupError);
+        }
+        if (teardownError) {
+            results.fail(`${suiteName} teardown`, teardownError);
+        }
+        
+        if (!options.pool) {
+            results.addSetup(pool.launchDuration);
+            await pool.close();
+        }
+        
+        const summary = results.getSummary();
+        if (blockedRequests.size > 0) {
+            summary.blockedRequests = [...blockedRequests.values()];
+        }
+        return summary;
+    };
+}
+
 module.exports = {
     ColorUtils,
     TestResults,
     BrowserUtils,
     ElementUtils,
+    DiffUtils,
     Assertions,
+    suite,
+    runOrdered,
     config,
     delay
 };
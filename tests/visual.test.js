@@ -0,0 +1,112 @@
+/**
+ * GFV LLC - Visual Regression Tests
+ * Full-page screenshots per viewport compared pixel by pixel against approved baselines
+ *
+ * Approved screenshots are committed under tests/baselines/visual. After an intended
+ * change, re-approve with: node tests/run-all-tests.js --suite visual --approve
+ * and look over the new images in the diff before committing them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { suite, BrowserUtils, config } = require('./test-utils');
+const { PngUtils, PixelDiff } = require('./image-utils');
+
+// Baselines are stored per page, e.g. baselines/visual/index/mobile.png
+function baselinePath(target, viewportKey) {
+    const pageName = path.basename(new URL(target).pathname, '.html');
+    return path.join(config.visualRegression.baselineDir, pageName, `${viewportKey}.png`);
+}
+
+// Resolve selector-based ignore regions to page coordinates
+async function resolveIgnoreRegions(page, regions) {
+    const resolved = [];
+    
+    for (const region of regions) {
+        if (!region.selector) {
+            resolved.push(region);
+            continue;
+        }
+        
+        const rects = await page.$$eval(region.selector, elements => elements.map(el => {
+            const rect = el.getBoundingClientRect();
+            return {
+                x: Math.floor(rect.left + window.scrollX),
+                y: Math.floor(rect.top + window.scrollY),
+                width: Math.ceil(rect.width),
+                height: Math.ceil(rect.height)
+            };
+        }));
+        resolved.push(...rects.filter(r => r.width > 0 && r.height > 0));
+    }
+    
+    return resolved;
+}
+
+function imageAttachment(label, png) {
+    return { type: 'image', label, contentType: 'image/png', data: png.toString('base64') };
+}
+
+const runVisualTests = suite('Visual Regression', ({ test, target, options }) => {
+    const { approve = false } = options;
+    const { threshold, maxDiffRatio, ignoreRegions, timeout } = config.visualRegression;
+    
+    Object.entries(config.viewports).forEach(([viewportKey, viewport]) => {
+        test(`[${viewport.name}] Matches visual baseline`, async ({ page, warn, fail, attach }) => {
+            const file = baselinePath(target, viewportKey);
+            const relativeFile = path.relative(path.resolve(__dirname, '..'), file).replace(/\\/g, '/');
+            
+            await BrowserUtils.settleForScreenshot(page);
+            const currentPng = Buffer.from(await page.screenshot({ fullPage: true, type: 'png' }));
+            
+            if (approve) {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, currentPng);
+                return { baseline: relativeFile, approved: true };
+            }
+            
+            // A new page or viewport: there is nothing to diff against, and a lone screenshot proves nothing
+            if (!fs.existsSync(file)) {
+                warn(`${relativeFile} is missing - approve this viewport with --approve`, { baseline: relativeFile });
+                return;
+            }
+            
+            const baselinePng = fs.readFileSync(file);
+            const regions = await resolveIgnoreRegions(page, ignoreRegions);
+            const comparison = PixelDiff.compare(PngUtils.decode(baselinePng), PngUtils.decode(currentPng), {
+                threshold,
+                ignoreRegions: regions
+            });
+            
+            const details = {
+                baseline: relativeFile,
+                diffPixels: comparison.diffPixels,
+                diffRatio: Number(comparison.diffRatio.toFixed(5)),
+                maxDiffRatio,
+                ignoredRegions: regions.length,
+                size: `${comparison.width}x${comparison.height}`,
+                sizeMatches: comparison.sizeMatches
+            };
+            
+            if (comparison.diffRatio <= maxDiffRatio) {
+                return details;
+            }
+            
+            const percent = (comparison.diffRatio * 100).toFixed(2);
+            fail(new Error(`${comparison.diffPixels} pixels (${percent}%) differ from the baseline` +
+                (comparison.sizeMatches ? '' : ' - page size changed')), details);
+            attach(imageAttachment('Baseline', baselinePng));
+            attach(imageAttachment('Current', currentPng));
+            attach(imageAttachment('Delta', PngUtils.encode(comparison.diffImage)));
+        }, { viewport: viewportKey, timeout });
+    });
+}, { screenshots: false });
+
+module.exports = { runVisualTests };
+
+if (require.main === module) {
+    runVisualTests({ approve: process.argv.includes('--approve') }).then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
@@ -0,0 +1,194 @@
+/**
+ * GFV LLC - Inquiry Wizard Tests
+ * The homepage contact form step by step: progress, per-step validation, deep links and the no-JS fallback
+ */
+
+const { suite, Assertions, config } = require('./test-utils');
+const InquirySchema = require('../assets/inquiry-schema');
+const { STEPS } = require('../assets/inquiry-wizard');
+
+const FORM = '.contact-form';
+
+// Which step is showing, which fields can be seen and where focus is
+async function wizardState(page) {
+    return page.evaluate(selector => {
+        const form = document.querySelector(selector);
+        const shown = el => !!el && el.getClientRects().length > 0;
+        const current = form.querySelector('.wizard-progress-step[aria-current="step"]');
+        
+        return {
+            step: current ? current.dataset.step : null,
+            steps: form.querySelectorAll('.wizard-progress-step').length,
+            title: form.querySelector('.wizard-step-title')?.textContent || null,
+            visibleFields: Array.from(form.elements)
+                .filter(el => el.name && el.type !== 'hidden' && shown(el))
+                .map(el => el.name),
+            invalid: Array.from(form.querySelectorAll('[aria-invalid="true"]')).map(el => el.name),
+            submitShown: shown(form.querySelector('.form-submit')),
+            focused: document.activeElement?.name || document.activeElement?.className || null,
+            hash: location.hash
+        };
+    }, FORM);
+}
+
+async function fillFields(page, values) {
+    await page.evaluate((selector, fieldValues) => {
+        const form = document.querySelector(selector);
+        Object.entries(fieldValues).forEach(([name, value]) => {
+            form.elements[name].value = value;
+            form.elements[name].dispatchEvent(new Event('input', { bubbles: true }));
+        });
+    }, FORM, values);
+}
+
+const runWizardTests = suite('Inquiry Wizard', ({ test }) => {
+    const stepFields = id => STEPS.find(step => step.id === id).fields;
+    
+    test('Starts on the first step with progress and no submit button', async ({ page }) => {
+        const state = await wizardState(page);
+        
+        Assertions.equals(state.step, 'contact', 'First step should be current');
+        Assertions.equals(state.steps, STEPS.length, 'Progress should list every step');
+        Assertions.isTrue(state.title.startsWith(`Step 1 of ${STEPS.length}`), `Step title: "${state.title}"`);
+        Assertions.equals(state.visibleFields.join(','), stepFields('contact').join(','), 'Only contact fields should show');
+        Assertions.isFalse(state.submitShown, 'Submit waits for the review step');
+        Assertions.isFalse(state.hash.startsWith('#contact/'), 'A plain visit should not change the URL');
+        
+        return state;
+    });
+    
+    test('Next validates only the current step, then moves on', async ({ page }) => {
+        await page.click(`${FORM} .wizard-next`);
+        const blocked = await wizardState(page);
+        
+        Assertions.equals(blocked.step, 'contact', 'An incomplete step should hold the visitor back');
+        Assertions.equals(blocked.invalid.sort().join(','), 'email,name', 'Only the required fields on this step are flagged');
+        Assertions.equals(blocked.focused, 'name', 'Focus should go to the first invalid field');
+        
+        await fillFields(page, { name: 'Ada Lovelace', email: 'ada@example.com' });
+        await page.click(`${FORM} .wizard-next`);
+        const moved = await wizardState(page);
+        
+        Assertions.equals(moved.step, 'project', 'A complete step should lead to the next');
+        Assertions.equals(moved.invalid.length, 0, 'Errors should clear when moving on');
+        Assertions.isTrue(moved.focused.includes('wizard-step-title'), 'Focus should move to the new step title');
+        Assertions.equals(moved.hash, '#contact/project', 'The step should be in the URL');
+        
+        await page.click(`${FORM} .wizard-back`);
+        const back = await wizardState(page);
+        const kept = await page.$eval(`${FORM} [name="email"]`, el => el.value);
+        
+        Assertions.equals(back.step, 'contact', 'Back should return to the previous step');
+        Assertions.equals(kept, 'ada@example.com', 'Answers should be kept when going back');
+        
+        return { blocked: blocked.invalid, moved: moved.step };
+    });
+    
+    test('Enter in a field moves to the next step without sending', async ({ page }) => {
+        await fillFields(page, { name: 'Ada Lovelace' });
+        await page.focus(`${FORM} [name="email"]`);
+        await page.keyboard.type('ada@example.com');
+        await page.keyboard.press('Enter');
+        const state = await wizardState(page);
+        const formShown = await page.$eval(FORM, el => !el.hidden);
+        
+        Assertions.equals(state.step, 'project', 'Enter should act as Next');
+        Assertions.isTrue(formShown, 'Nothing should be sent from an early step');
+        
+        return state;
+    });
+    
+    test('Deep link opens the named step', async ({ page, url }) => {
+        await page.goto('about:blank');
+        await page.goto(`${url}#contact/budget`, { waitUntil: 'networkidle0', timeout: config.timeouts.navigation });
+        const state = await wizardState(page);
+        
+        Assertions.equals(state.step, 'budget', 'The step in the hash should be current');
+        Assertions.equals(state.visibleFields.join(','), stepFields('budget').join(','), 'Budget and timeline fields should show');
+        Assertions.isTrue(state.focused.includes('wizard-step-title'), 'Focus should be on the linked step');
+        
+        return state;
+    });
+    
+    test('Review lists the answers and sends only a complete form', async ({ page }) => {
+        await fillFields(page, { name: 'Ada Lovelace', email: 'ada@example.com', description: 'Telemetry dashboard with weekly exports.' });
+        await page.evaluate(() => {
+            location.hash = '#contact/review';
+        });
+        await page.waitForSelector(`${FORM} .form-submit`, { visible: true, timeout: 2000 });
+        
+        const review = await page.$$eval(`${FORM} .wizard-review dd .wizard-review-value`, values => values.map(v => v.textContent));
+        Assertions.isTrue(review.includes('Ada Lovelace'), 'Review should show the answers');
+        Assertions.isTrue(review.includes('Not given'), 'Review should point out empty answers');
+        
+        // Project type, budget and timeline are still empty: submit jumps back to the first gap
+        await page.click(`${FORM} .form-submit`);
+        const state = await wizardState(page);
+        
+        Assertions.equals(state.step, 'project', 'Submit should return to the first incomplete step');
+        Assertions.equals(state.invalid.join(','), 'project_type', 'The missing answer should be flagged');
+        Assertions.equals(state.focused, 'project_type', 'Focus should go to the missing answer');
+        
+        return { review, returnedTo: state.step };
+    });
+    
+    test('Review still applies the browser checks to controls no step covers', async ({ page }) => {
+        // A required control added to the form outside the wizard's steps
+        await page.evaluate(selector => {
+            const extra = document.createElement('input');
+            extra.name = 'consent';
+            extra.required = true;
+            document.querySelector(selector).querySelector('.form-submit').before(extra);
+        }, FORM);
+        await fillFields(page, {
+            name: 'Ada Lovelace',
+            email: 'ada@example.com',
+            project_type: 'web-app',
+            budget: '15k-50k',
+            timeline: 'flexible',
+            description: 'Telemetry dashboard with weekly exports.'
+        });
+        await page.evaluate(() => {
+            location.hash = '#contact/review';
+        });
+        await page.waitForSelector(`${FORM} .form-submit`, { visible: true, timeout: 2000 });
+        
+        await page.click(`${FORM} .form-submit`);
+        const state = await wizardState(page);
+        const sending = await page.$eval(`${FORM} .form-submit`, el => el.disabled);
+        
+        Assertions.isFalse(sending, 'An invalid form should not be sent');
+        Assertions.equals(state.focused, 'consent', 'Focus should go to the invalid control');
+        Assertions.isTrue(state.visibleFields.includes('consent'), 'The invalid control should be shown');
+        
+        return { focused: state.focused };
+    });
+    
+    test('All fields mode and the no-JavaScript form show every field', async ({ page, url }) => {
+        const allFields = InquirySchema.fields.map(field => field.name).join(',');
+        
+        await page.click(`${FORM} .wizard-mode-toggle`);
+        const allAtOnce = await wizardState(page);
+        Assertions.equals(allAtOnce.visibleFields.join(','), allFields, 'Single-form mode should show every field');
+        Assertions.isTrue(allAtOnce.submitShown, 'Single-form mode should show submit');
+        
+        await page.setJavaScriptEnabled(false);
+        await page.goto(url, { waitUntil: 'load', timeout: config.timeouts.navigation });
+        const plain = await wizardState(page);
+        
+        Assertions.equals(plain.steps, 0, 'No wizard controls without JavaScript');
+        Assertions.equals(plain.visibleFields.join(','), allFields, 'The plain form should show every field');
+        Assertions.isTrue(plain.submitShown, 'The plain form should show submit');
+        
+        return { fields: plain.visibleFields.length };
+    });
+});
+
+module.exports = { runWizardTests };
+
+if (require.main === module) {
+    runWizardTests().then(results => {
+        console.log(JSON.stringify(results, null, 2));
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}